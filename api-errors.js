@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Stable error codes returned by the API. Clients decide between retrying
+// and showing an error from `code` and `retryable`, never from the message.
+const ERROR_CODES = {
+    VALIDATION_ERROR: { status: 400, retryable: false },
+    UNAUTHORIZED: { status: 401, retryable: false },
+    NOT_FOUND: { status: 404, retryable: false },
+    APPROXIMATION_UNAVAILABLE: { status: 404, retryable: false },
+    MODEL_UNAVAILABLE: { status: 503, retryable: false },
+    UPSTREAM_TIMEOUT: { status: 504, retryable: true },
+    UPSTREAM_NAVIGATION_FAILED: { status: 502, retryable: true },
+    NO_RESULTS_EXTRACTED: { status: 502, retryable: true },
+    UPSTREAM_UNAVAILABLE: { status: 503, retryable: true },
+    UPSTREAM_RATE_LIMITED: { status: 503, retryable: true },
+    BROWSER_LAUNCH_FAILED: { status: 503, retryable: true },
+    CACHE_IO_ERROR: { status: 500, retryable: false },
+    REQUEST_CANCELLED: { status: 499, retryable: true },
+    INTERNAL_ERROR: { status: 500, retryable: false }
+};
+
+class ApiError extends Error {
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = ERROR_CODES[this.code].status;
+        this.retryable = ERROR_CODES[this.code].retryable;
+        this.details = options.details;
+        this.retryAfterMs = options.retryAfterMs;
+        this.forensicsId = options.forensicsId;
+        if (options.cause) this.cause = options.cause;
+    }
+}
+
+// Map any thrown error onto an ApiError. Errors from our own modules carry a
+// known code already; Node filesystem errors are cache I/O failures.
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    if (error && ERROR_CODES[error.code]) {
+        return new ApiError(error.code, error.message, {
+            retryAfterMs: error.retryAfterMs,
+            forensicsId: error.forensicsId,
+            cause: error
+        });
+    }
+    if (error && error.syscall) {
+        return new ApiError('CACHE_IO_ERROR', `Cache storage error: ${error.message}`, { cause: error });
+    }
+    return new ApiError('INTERNAL_ERROR', error ? error.message : 'Unknown error', {
+        forensicsId: error && error.forensicsId,
+        cause: error
+    });
+}
+
+// Client-supplied IDs are echoed back only when they look harmless
+function correlationIdFor(req) {
+    const supplied = req.get('x-correlation-id');
+    if (supplied && /^[A-Za-z0-9._-]{1,64}$/.test(supplied)) return supplied;
+    return crypto.randomUUID();
+}
+
+// Express middleware: tag every request with a correlation ID, also sent back
+// in the X-Correlation-ID header
+function correlationMiddleware(req, res, next) {
+    req.correlationId = correlationIdFor(req);
+    res.set('X-Correlation-ID', req.correlationId);
+    next();
+}
+
+// JSON body for an error response
+function errorBody(apiError, correlationId) {
+    const body = {
+        success: false,
+        error: apiError.message,
+        code: apiError.code,
+        retryable: apiError.retryable,
+        correlationId
+    };
+    if (apiError.details !== undefined) body.details = apiError.details;
+    if (apiError.retryAfterMs !== undefined) body.retryAfterMs = apiError.retryAfterMs;
+    if (apiError.forensicsId) body.forensicsId = apiError.forensicsId;
+    body.timestamp = new Date().toISOString();
+    return body;
+}
+
+// Log the error with the request's correlation ID and send it
+function sendError(req, res, error, context = 'API') {
+    const apiError = toApiError(error);
+    const correlationId = req.correlationId || correlationIdFor(req);
+
+    console.error(`❌ [${correlationId}] ${context} ${apiError.code} (${apiError.status}): ${apiError.message}`);
+    if (apiError.status >= 500 && apiError.cause && apiError.cause.stack) {
+        console.error(`[${correlationId}]`, apiError.cause.stack);
+    }
+
+    if (apiError.retryAfterMs !== undefined) {
+        res.set('Retry-After', String(Math.ceil(apiError.retryAfterMs / 1000)));
+    }
+    return res.status(apiError.status).json(errorBody(apiError, correlationId));
+}
+
+module.exports = {
+    ApiError,
+    ERROR_CODES,
+    toApiError,
+    correlationMiddleware,
+    errorBody,
+    sendError
+};
@@ -0,0 +1,294 @@
+const { chromium } = require('playwright');
+
+// Launch options shared by every browser the pool starts
+const CHROMIUM_LAUNCH_OPTIONS = {
+    headless: true,
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor'
+    ],
+    timeout: 60000
+};
+
+// Long-lived Chromium browser with a small pool of reusable contexts.
+// Scrapes lease a page through acquire()/withPage(); at most maxConcurrent
+// leases are active at once and the rest wait in a FIFO queue.
+class BrowserPool {
+    constructor(options = {}) {
+        this.maxContexts = options.maxContexts || parseInt(process.env.BROWSER_POOL_CONTEXTS) || 2;
+        this.maxConcurrent = options.maxConcurrent || parseInt(process.env.BROWSER_POOL_MAX_CONCURRENT) || this.maxContexts;
+        this.maxContextUses = options.maxContextUses || parseInt(process.env.BROWSER_POOL_CONTEXT_MAX_USES) || 20;
+        this.maxBrowserUses = options.maxBrowserUses || parseInt(process.env.BROWSER_POOL_BROWSER_MAX_USES) || 200;
+        this.healthCheckInterval = options.healthCheckInterval || parseInt(process.env.BROWSER_POOL_HEALTH_INTERVAL_MS) || 60000;
+        this.launchOptions = options.launchOptions || CHROMIUM_LAUNCH_OPTIONS;
+
+        this.browser = null;
+        this.launching = null;
+        this.browserUses = 0;
+        this.recyclePending = false;
+
+        this.idleContexts = [];
+        this.openContexts = 0;
+        this.activeLeases = 0;
+        this.waiting = [];
+
+        this.stats = {
+            launches: 0,
+            recycles: 0,
+            crashes: 0,
+            leakedPagesClosed: 0,
+            totalScrapes: 0,
+            failedScrapes: 0,
+            lastHealthCheck: null
+        };
+
+        this.healthTimer = setInterval(() => {
+            this.healthCheck().catch(error => {
+                console.log('Browser pool health check failed:', error.message);
+            });
+        }, this.healthCheckInterval);
+        this.healthTimer.unref();
+    }
+
+    // Start the shared browser if none is running; concurrent callers share one launch
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+        if (!this.launching) {
+            this.launching = (async () => {
+                console.log('🚀 Launching pooled Chromium browser...');
+                const browser = await chromium.launch(this.launchOptions);
+                browser.on('disconnected', () => this.handleDisconnect(browser));
+                this.browser = browser;
+                this.browserUses = 0;
+                this.stats.launches++;
+                return browser;
+            })().finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    handleDisconnect(browser) {
+        if (this.browser !== browser) return;
+        if (!this.recyclePending) {
+            console.log('⚠️ Pooled browser disconnected unexpectedly');
+            this.stats.crashes++;
+        }
+        this.browser = null;
+        this.idleContexts = [];
+        this.openContexts = 0;
+    }
+
+    // Wait for a free scrape slot. While a recycle is pending no new leases
+    // start, so active ones drain and the browser can actually be closed.
+    async acquireSlot() {
+        if (this.activeLeases < this.maxConcurrent && !this.recyclePending) {
+            this.activeLeases++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.recyclePending ? null : this.waiting.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter
+            next();
+        } else {
+            this.activeLeases--;
+        }
+    }
+
+    // Give free slots to queued scrapes once a recycle has finished
+    wakeWaiting() {
+        while (!this.recyclePending && this.waiting.length > 0 && this.activeLeases < this.maxConcurrent) {
+            this.activeLeases++;
+            this.waiting.shift()();
+        }
+    }
+
+    async takeContext() {
+        const browser = await this.getBrowser();
+
+        while (this.idleContexts.length > 0) {
+            const entry = this.idleContexts.pop();
+            if (entry.browser === browser) {
+                return entry;
+            }
+        }
+
+        const context = await browser.newContext();
+        this.openContexts++;
+        return { context, browser, uses: 0 };
+    }
+
+    async closeContext(entry) {
+        if (entry.browser === this.browser) {
+            this.openContexts--;
+        }
+        try {
+            await entry.context.close();
+        } catch (error) {
+            console.log('Error closing browser context:', error.message);
+        }
+    }
+
+    async returnContext(entry, failed) {
+        entry.uses++;
+        const reusable = !failed &&
+            !this.recyclePending &&
+            entry.browser === this.browser &&
+            entry.uses < this.maxContextUses &&
+            this.idleContexts.length < this.maxContexts;
+
+        if (reusable) {
+            this.idleContexts.push(entry);
+        } else {
+            await this.closeContext(entry);
+        }
+    }
+
+    // Lease a fresh page. The caller must call lease.release() exactly once.
+    async acquire() {
+        await this.acquireSlot();
+
+        let entry;
+        let page;
+        try {
+            entry = await this.takeContext();
+            page = await entry.context.newPage();
+        } catch (error) {
+            if (entry) await this.closeContext(entry);
+            this.releaseSlot();
+            // This may have been the last lease a pending recycle was waiting for
+            await this.maybeRecycle();
+            throw error;
+        }
+
+        this.browserUses++;
+        this.stats.totalScrapes++;
+
+        let released = false;
+        const release = async ({ failed = false } = {}) => {
+            if (released) return;
+            released = true;
+            if (failed) this.stats.failedScrapes++;
+
+            try {
+                await page.close();
+            } catch (error) {
+                console.log('Error closing pooled page:', error.message);
+            }
+            await this.returnContext(entry, failed);
+            this.releaseSlot();
+            await this.maybeRecycle();
+        };
+
+        return { page, context: entry.context, release };
+    }
+
+    // Run fn(page) with a leased page and always give it back
+    async withPage(fn) {
+        const lease = await this.acquire();
+        let failed = false;
+        try {
+            return await fn(lease.page);
+        } catch (error) {
+            failed = true;
+            throw error;
+        } finally {
+            await lease.release({ failed });
+        }
+    }
+
+    // Close the browser once no scrape is using it; the next acquire relaunches
+    async maybeRecycle() {
+        if (!this.recyclePending || this.activeLeases > 0) {
+            return;
+        }
+        // Detach the browser before closing it so nothing picks it up mid-close
+        const browser = this.browser;
+        this.browser = null;
+        this.idleContexts = [];
+        this.openContexts = 0;
+        this.recyclePending = false;
+
+        // Queued scrapes may start now; they launch a new browser
+        this.wakeWaiting();
+
+        if (!browser) return;
+        console.log('♻️ Recycling pooled browser');
+        this.stats.recycles++;
+        try {
+            await browser.close();
+        } catch (error) {
+            console.log('Error closing recycled browser:', error.message);
+        }
+    }
+
+    // Close pages left behind in idle contexts and schedule a recycle when
+    // the browser has crashed, leaked or served too many scrapes
+    async healthCheck() {
+        this.stats.lastHealthCheck = new Date().toISOString();
+
+        if (!this.browser) return;
+
+        if (!this.browser.isConnected()) {
+            this.handleDisconnect(this.browser);
+            return;
+        }
+
+        let leaked = 0;
+        for (const entry of this.idleContexts) {
+            for (const page of entry.context.pages()) {
+                leaked++;
+                await page.close().catch(() => {});
+            }
+        }
+        if (leaked > 0) {
+            console.log(`⚠️ Closed ${leaked} leaked page(s) in idle browser contexts`);
+            this.stats.leakedPagesClosed += leaked;
+        }
+
+        const contextCount = this.browser.contexts().length;
+        if (leaked > 0 || contextCount > this.maxContexts + this.maxConcurrent || this.browserUses >= this.maxBrowserUses) {
+            this.recyclePending = true;
+            await this.maybeRecycle();
+        }
+    }
+
+    getStats() {
+        return {
+            browserConnected: Boolean(this.browser && this.browser.isConnected()),
+            browserUses: this.browserUses,
+            maxContexts: this.maxContexts,
+            maxConcurrent: this.maxConcurrent,
+            openContexts: this.openContexts,
+            idleContexts: this.idleContexts.length,
+            activeScrapes: this.activeLeases,
+            queuedScrapes: this.waiting.length,
+            recyclePending: this.recyclePending,
+            ...this.stats
+        };
+    }
+
+    async close() {
+        clearInterval(this.healthTimer);
+        this.recyclePending = true;
+        this.idleContexts = [];
+        if (this.browser) {
+            const browser = this.browser;
+            this.browser = null;
+            await browser.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = { BrowserPool, CHROMIUM_LAUNCH_OPTIONS };
@@ -2,6 +2,14 @@
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const { waitForResults } = require('./page-readiness');
+const { extractResults, buildDriftReport } = require('./extractor');
+const { parseResults } = require('./result-parser');
+const { sanitizeResults, SANITIZER_VERSION } = require('./html-sanitizer');
+const { buildResultsUrl } = require('./upstream-config');
+const ForensicsRecorder = require('./forensics');
+const { UpstreamRateLimiter } = require('./upstream-limiter');
+const { ProbabilityModel, collectSamples, DEFAULT_MODEL_FILE } = require('./probability-model');
 
 class DataCachingSystem {
     constructor() {
@@ -10,8 +18,11 @@ class DataCachingSystem {
         this.resultsFile = path.join(this.cacheDir, 'results.json');
         this.errorLogFile = path.join(this.cacheDir, 'errors.json');
         this.batchSize = 10; // Process 10 combinations at a time
-        this.delayBetweenRequests = 3000; // 3 seconds between requests
         this.retryAttempts = 3;
+        this.forensicsRecorder = new ForensicsRecorder();
+        // Paces requests together with a running API server (see upstream-limiter.js)
+        // The runner has nobody waiting on it, so it waits out any backoff
+        this.upstreamLimiter = new UpstreamRateLimiter({ name: 'precache', maxWaitMs: Infinity });
         
         // Define all possible parameter combinations
         this.parameterRanges = {
@@ -169,10 +180,14 @@ class DataCachingSystem {
     }
 
     async scrapeWithRetry(browser, combination, attempt = 1) {
+        let page;
+        let forensics;
+        let url;
         try {
             console.log(`🔄 Processing: ${combination.id} (Attempt ${attempt})`);
             
-            const page = await browser.newPage();
+            page = await browser.newPage();
+            forensics = await this.forensicsRecorder.begin(page);
             
             // Build URL with parameters
             const params = new URLSearchParams();
@@ -184,89 +199,50 @@ class DataCachingSystem {
             params.append('excludeObese', combination.params.excludeObese);
             params.append('minIncome', combination.params.minIncome);
             
-            const url = `https://igotstandardsbro.com/results?${params.toString()}`;
+            url = buildResultsUrl(params);
             
-            // Navigate to page
-            await page.goto(url, { 
-                waitUntil: 'domcontentloaded',
-                timeout: 45000 
-            });
+            // Wait for a slot in the shared upstream rate limit, then navigate
+            await this.upstreamLimiter.acquire();
+            const navigationStart = Date.now();
+            let response;
+            try {
+                response = await page.goto(url, { 
+                    waitUntil: 'domcontentloaded',
+                    timeout: 45000 
+                });
+            } catch (navigationError) {
+                const durationMs = Date.now() - navigationStart;
+                forensics.recordNavigation({ attempt, url, durationMs, status: null, error: navigationError.message });
+                await this.upstreamLimiter.report({ durationMs });
+                throw navigationError;
+            }
+            const durationMs = Date.now() - navigationStart;
+            const status = response ? response.status() : null;
+            forensics.recordNavigation({ attempt, url, durationMs, status, error: null });
+            await this.upstreamLimiter.report({ status, durationMs, retryAfter: response ? response.headers()['retry-after'] : null });
+            if (status === 429 || status >= 500) {
+                throw new Error(`Upstream responded with HTTP ${status}`);
+            }
             
-            // Wait for page to load
-            await page.waitForTimeout(8000);
+            // Wait until the results are rendered
+            const waitTiming = await waitForResults(page);
             
-            // Extract data
-            const results = await page.evaluate(() => {
-                const data = {};
-                
-                const resultNumbers = document.querySelectorAll('.result-number');
-                
-                if (resultNumbers.length >= 3) {
-                    data.probability = resultNumbers[0].textContent.trim();
-                    data.delusionScoreNumber = resultNumbers[1].textContent.trim();
-                    data.delusionScore = resultNumbers[2].textContent.trim();
-                } else {
-                    // Fallback methods
-                    for (let i = 0; i < resultNumbers.length; i++) {
-                        const text = resultNumbers[i].textContent.trim();
-                        if (text.includes('%') && !data.probability) {
-                            data.probability = text;
-                        }
-                        if (text.match(/^\d+\/\d+$/) && !data.delusionScoreNumber) {
-                            data.delusionScoreNumber = text;
-                        }
-                        const delusionTexts = ['Aspiring cat lady', 'Very Delusional', 'Delusional', 'Picky', 'Reasonable', 'Down to earth'];
-                        if (delusionTexts.includes(text) && !data.delusionScore) {
-                            data.delusionScore = text;
-                        }
-                    }
-                }
-                
-                // Get additional data
-                const populationElement = document.querySelector('.population-visualizer');
-                if (populationElement) {
-                    data.populationData = populationElement.innerHTML;
-                }
-                
-                const paragraphElement = document.querySelector('.paragraph');
-                if (paragraphElement) {
-                    data.paragraphText = paragraphElement.innerHTML;
-                }
-                
-                const scoreFlexElement = document.querySelector('.score-flex');
-                if (scoreFlexElement) {
-                    data.scoreFlexHTML = scoreFlexElement.innerHTML;
-                }
-                
-                // Get box paragraph list
-                const boxParagraphSelectors = [
-                    '.box.paragraph ul li',
-                    '.box ul li', 
-                    '.paragraph ul li',
-                    'ul li'
-                ];
-                
-                for (const selector of boxParagraphSelectors) {
-                    const elements = document.querySelectorAll(selector);
-                    if (elements.length > 0) {
-                        data.boxParagraphList = Array.from(elements).map(el => el.outerHTML);
-                        break;
-                    }
-                }
-                
-                return data;
-            });
-            
-            await page.close();
+            // Extract data using the shared extractor definition
+            const { data: results } = await extractResults(page);
             
             // Validate results
             if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
                 throw new Error('No valid results found on page');
             }
             
+            await forensics.succeed();
+            await page.close();
+            
             console.log(`✅ Success: ${combination.id}`);
             return {
                 ...results,
+                structured: parseResults(results),
+                waitTiming,
                 timestamp: new Date().toISOString(),
                 parameters: combination.params
             };
@@ -274,6 +250,13 @@ class DataCachingSystem {
         } catch (error) {
             console.log(`❌ Error processing ${combination.id} (Attempt ${attempt}): ${error.message}`);
             
+            if (forensics) {
+                await forensics.fail(error, { combinationId: combination.id, criteria: combination.params, url: url || null });
+            }
+            if (page) {
+                await page.close().catch(() => {});
+            }
+            
             if (attempt < this.retryAttempts) {
                 await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds before retry
                 return this.scrapeWithRetry(browser, combination, attempt + 1);
@@ -369,18 +352,11 @@ class DataCachingSystem {
                     };
                     
                     await this.saveProgress(currentProgress);
-                    
-                    // Add delay between requests
-                    if (combination !== batch[batch.length - 1]) {
-                        await new Promise(resolve => setTimeout(resolve, this.delayBetweenRequests));
-                    }
                 }
                 
-                // Longer delay between batches
-                if (i + this.batchSize < combinations.length) {
-                    console.log(`⏸️  Batch complete. Waiting 10 seconds before next batch...`);
-                    await new Promise(resolve => setTimeout(resolve, 10000));
-                }
+                // Request pacing is left to the shared upstream limiter
+                const limiterStats = await this.upstreamLimiter.getStats();
+                console.log(`⏸️  Batch complete. Upstream rate: ${limiterStats.requestsLastMinute} requests in the last minute (limit ${limiterStats.effectiveRatePerMinute}/min)`);
             }
             
             console.log(`\n🎉 Caching process completed!`);
@@ -415,10 +391,82 @@ class DataCachingSystem {
             progress,
             totalCachedResults: Object.keys(results).length,
             totalErrors: errors.length,
-            cacheHitRate: progress.successes / (progress.successes + progress.errors) * 100
+            cacheHitRate: progress.successes / (progress.successes + progress.errors) * 100,
+            upstreamLimiter: await this.upstreamLimiter.getStats()
         };
     }
 
+    // Method to report extractor drift across cached results
+    async getDriftReport() {
+        const results = await this.loadResults();
+        const entries = Object.entries(results).map(([key, data]) => ({ key, data }));
+        return buildDriftReport(entries);
+    }
+
+    // Method to re-sanitize stored HTML in results.json and the server's scraped_data.json.
+    // Run it while the server is stopped, otherwise its in-memory cache overwrites the file.
+    async sanitizeStoredResults() {
+        const summary = {};
+        await fs.mkdir(this.cacheDir, { recursive: true });
+
+        const results = await this.loadResults();
+        for (const result of Object.values(results)) {
+            sanitizeResults(result);
+            result.structured = parseResults(result);
+        }
+        await this.saveResults(results);
+        summary.results = Object.keys(results).length;
+
+        const scrapedDataFile = path.join(this.cacheDir, 'scraped_data.json');
+        try {
+            const scrapedData = JSON.parse(await fs.readFile(scrapedDataFile, 'utf8'));
+            for (const entry of Object.values(scrapedData)) {
+                if (entry.data) {
+                    sanitizeResults(entry.data);
+                    entry.data.structured = parseResults(entry.data);
+                }
+            }
+            await fs.writeFile(scrapedDataFile, JSON.stringify(scrapedData, null, 2));
+            summary.scrapedData = Object.keys(scrapedData).length;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            summary.scrapedData = 0;
+        }
+
+        console.log(`🧼 Re-sanitized ${summary.results} results and ${summary.scrapedData} server cache entries (sanitizer v${SANITIZER_VERSION})`);
+        return summary;
+    }
+
+    // Method to fit the offline probability model from results.json and the
+    // server's scraped_data.json, report held-out accuracy and save it where
+    // server.js loads it from (MODEL_FILE, default cache/model.json)
+    async fitModel(modelFile = DEFAULT_MODEL_FILE) {
+        const results = await this.loadResults();
+
+        let scrapedData = {};
+        try {
+            scrapedData = JSON.parse(await fs.readFile(path.join(this.cacheDir, 'scraped_data.json'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const { samples, sources } = collectSamples(results, scrapedData);
+        console.log(`📚 Fitting model on ${samples.length} cached results (${Object.entries(sources).map(([source, count]) => `${count} from ${source}`).join(', ') || 'none'})`);
+
+        const model = ProbabilityModel.fit(samples, { sources });
+        const summary = model.describe();
+        const heldOut = summary.metrics.heldOut;
+        if (heldOut) {
+            console.log(`🎯 Held-out accuracy on ${heldOut.samples} results: mean error ${heldOut.meanAbsoluteErrorPoints} percentage points, ${heldOut.meanAbsoluteErrorLog10} orders of magnitude, label match ${Math.round(heldOut.labelAccuracy * 100)}%`);
+        } else {
+            console.log('⚠️ Too few results to hold any out; no accuracy reported');
+        }
+
+        model.save(modelFile);
+        console.log(`💾 Saved model ${summary.version} to ${modelFile}`);
+        return summary;
+    }
+
     // Method to export cache to different formats
     async exportCache(format = 'json') {
         const results = await this.loadResults();
@@ -496,6 +544,24 @@ if (require.main === module) {
             cacheSystem.exportCache(format).catch(console.error);
             break;
             
+        case 'drift':
+            cacheSystem.getDriftReport().then(report => {
+                console.log('🧭 Extractor Drift Report:');
+                console.log(JSON.stringify(report, null, 2));
+            }).catch(console.error);
+            break;
+            
+        case 'sanitize':
+            cacheSystem.sanitizeStoredResults().catch(console.error);
+            break;
+            
+        case 'fit-model':
+            cacheSystem.fitModel(process.argv[3]).catch(error => {
+                console.error('❌ Model fit failed:', error.message);
+                process.exitCode = 1;
+            });
+            break;
+            
         case 'test':
             // Test with sample parameters
             const testParams = {
@@ -526,6 +592,9 @@ Commands:
   start    - Start/resume the caching process
   stats    - Show caching statistics
   export   - Export cache (json|csv)
+  drift    - Report cached results extracted with outdated or fallback selectors
+  sanitize - Re-sanitize stored HTML in results.json and scraped_data.json (stop the server first)
+  fit-model - Fit the offline probability model from cached results and save it (default cache/model.json)
   test     - Test cache lookup with sample parameters
 
 Examples:
@@ -533,6 +602,7 @@ Examples:
   node cache-system.js stats
   node cache-system.js export json
   node cache-system.js export csv
+  node cache-system.js fit-model
             `);
     }
 }
@@ -0,0 +1,155 @@
+// Circuit breaker around upstream scraping. After failureThreshold
+// consecutive failures the circuit opens and calls fail fast instead of
+// launching a browser; once resetTimeoutMs has passed it goes half-open and
+// lets a single probe through. A successful probe closes the circuit, a
+// failed one opens it again.
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'upstream';
+        this.failureThreshold = options.failureThreshold || parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+        this.resetTimeoutMs = options.resetTimeoutMs || parseInt(process.env.CIRCUIT_RESET_TIMEOUT_MS) || 60000;
+        // Errors that say nothing about upstream health pass through uncounted
+        this.isFailure = options.isFailure || (() => true);
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+        this.probeInFlight = false;
+        this.probeTimer = null;
+        this.lastFailure = null;
+
+        this.stats = {
+            successes: 0,
+            failures: 0,
+            rejected: 0,
+            opened: 0,
+            lastStateChange: new Date().toISOString()
+        };
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+        console.log(`⚡ Circuit ${this.name}: ${this.state} -> ${state}`);
+        this.state = state;
+        this.stats.lastStateChange = new Date().toISOString();
+    }
+
+    open() {
+        this.transition(STATES.OPEN);
+        this.openedAt = Date.now();
+        this.nextProbeAt = this.openedAt + this.resetTimeoutMs;
+        this.stats.opened++;
+
+        // Move to half-open on schedule so the next call probes the upstream
+        clearTimeout(this.probeTimer);
+        this.probeTimer = setTimeout(() => {
+            if (this.state === STATES.OPEN) {
+                this.transition(STATES.HALF_OPEN);
+            }
+        }, this.resetTimeoutMs);
+        this.probeTimer.unref();
+    }
+
+    // Whether a call may go through right now; claims the probe slot when half-open
+    allowRequest() {
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.OPEN && Date.now() >= this.nextProbeAt) {
+            this.transition(STATES.HALF_OPEN);
+        }
+        if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    retryAfterMs() {
+        if (this.state === STATES.CLOSED) return 0;
+        return Math.max(0, (this.nextProbeAt || Date.now()) - Date.now());
+    }
+
+    // Error thrown instead of calling the upstream while the circuit is open
+    createOpenError() {
+        const retryAfterMs = this.retryAfterMs();
+        const error = new Error(`Upstream unavailable: circuit is ${this.state} after ${this.consecutiveFailures} consecutive failures, retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+        error.code = 'UPSTREAM_UNAVAILABLE';
+        error.retryAfterMs = retryAfterMs;
+        error.lastFailure = this.lastFailure;
+        return error;
+    }
+
+    onSuccess() {
+        this.stats.successes++;
+        this.consecutiveFailures = 0;
+        this.probeInFlight = false;
+        if (this.state !== STATES.CLOSED) {
+            clearTimeout(this.probeTimer);
+            this.openedAt = null;
+            this.nextProbeAt = null;
+            this.transition(STATES.CLOSED);
+        }
+    }
+
+    onFailure(error) {
+        this.stats.failures++;
+        this.consecutiveFailures++;
+        this.lastFailure = {
+            message: error ? error.message : null,
+            timestamp: new Date().toISOString()
+        };
+
+        const wasProbe = this.probeInFlight;
+        this.probeInFlight = false;
+        if (wasProbe || (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+            this.open();
+        }
+    }
+
+    // Run fn through the breaker, rejecting immediately while the circuit is open
+    async execute(fn) {
+        if (!this.allowRequest()) {
+            this.stats.rejected++;
+            throw this.createOpenError();
+        }
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.onFailure(error);
+            } else {
+                this.probeInFlight = false;
+            }
+            throw error;
+        }
+    }
+
+    isOpen() {
+        return this.state !== STATES.CLOSED;
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            resetTimeoutMs: this.resetTimeoutMs,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            nextProbeAt: this.nextProbeAt ? new Date(this.nextProbeAt).toISOString() : null,
+            retryAfterMs: this.retryAfterMs(),
+            lastFailure: this.lastFailure,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = { CircuitBreaker, STATES };
@@ -0,0 +1,62 @@
+const { CRITERIA_LIMITS } = require('./criteria-validation');
+
+// Filters an explain breakdown relaxes one at a time, on normalized criteria
+// (CacheManager.getNormalizedCriteria). `active` says whether the filter
+// restricts anything; `relax` returns the criteria without it.
+const EXPLAIN_FILTERS = [
+    {
+        filter: 'race',
+        description: 'Race requirement',
+        active: criteria => criteria.race !== 0,
+        relax: criteria => ({ ...criteria, race: 0 })
+    },
+    {
+        filter: 'minHeight',
+        description: 'Height requirement',
+        active: criteria => criteria.minHeight > 0,
+        relax: criteria => ({ ...criteria, minHeight: 0 })
+    },
+    {
+        filter: 'minIncome',
+        description: 'Income requirement',
+        active: criteria => criteria.minIncome > 0,
+        relax: criteria => ({ ...criteria, minIncome: 0 })
+    },
+    {
+        filter: 'excludeMarried',
+        description: 'Not-married requirement',
+        active: criteria => criteria.excludeMarried === true,
+        relax: criteria => ({ ...criteria, excludeMarried: false })
+    },
+    {
+        filter: 'excludeObese',
+        description: 'Not-obese requirement',
+        active: criteria => criteria.excludeObese === true,
+        relax: criteria => ({ ...criteria, excludeObese: false })
+    },
+    {
+        filter: 'ageRange',
+        description: 'Age range',
+        active: criteria => criteria.minAge > CRITERIA_LIMITS.minAge.min || criteria.maxAge < CRITERIA_LIMITS.maxAge.max,
+        relax: criteria => ({ ...criteria, minAge: CRITERIA_LIMITS.minAge.min, maxAge: CRITERIA_LIMITS.maxAge.max })
+    }
+];
+
+// Effect of one filter given the probability (in percent) with every filter
+// and with this one relaxed. marginalEffect is in percentage points;
+// removesShare is the fraction of otherwise-matching men the filter removes.
+function filterEffect(withFilter, withoutFilter) {
+    if (withFilter === null || withoutFilter === null) {
+        return { marginalEffect: null, removesShare: null, multiplier: null };
+    }
+    return {
+        marginalEffect: Math.round((withoutFilter - withFilter) * 1000) / 1000,
+        removesShare: withoutFilter > 0 ? Math.round(Math.max(0, 1 - withFilter / withoutFilter) * 1000) / 1000 : 0,
+        multiplier: withFilter > 0 ? Math.round(withoutFilter / withFilter * 100) / 100 : null
+    };
+}
+
+module.exports = {
+    EXPLAIN_FILTERS,
+    filterEffect
+};
@@ -0,0 +1,290 @@
+const { ApiError } = require('./api-errors');
+const CRITERIA_STEPS = require('./public/criteria-steps');
+
+// One schema for the criteria accepted by /api/results (GET and POST),
+// /api/scrape, /api/results/stream and /api/jobs. Missing fields take the
+// documented defaults; present but invalid fields are rejected with a
+// field-level message instead of silently becoming a default, so bad input
+// never reaches the cache as an entry nobody asked for.
+//
+// Lenient mode (lenient=true, or CRITERIA_VALIDATION=lenient) clamps
+// out-of-range values, swaps reversed age ranges and replaces unparseable
+// values with defaults, reporting each change as an adjustment.
+const CRITERIA_LIMITS = {
+    minAge: { min: 18, max: 85, default: 25, integer: true },
+    maxAge: { min: 18, max: 85, default: 35, integer: true },
+    height: { min: 0, max: 250, default: 0 },
+    income: { min: 0, max: Infinity, default: 0, integer: true }
+};
+
+// Fields that accept unit-aware strings, with the parser and the accepted formats
+const UNIT_PARSERS = {
+    height: { parse: (value) => parseHeight(value), formats: 'cm, inches or feet/inches (e.g. 180, "70 in", "5 ft 10 in", "6\'0\"")' },
+    income: { parse: (value) => parseIncome(value), formats: 'an amount such as 75000, "75,000", "$100k" or "1.2M"' }
+};
+
+const RACE_VALUES = {
+    any: 0, white: 1, black: 2, asian: 3,
+    0: 0, 1: 1, 2: 2, 3: 3
+};
+
+const BOOLEAN_VALUES = {
+    true: true, false: false, 1: true, 0: false, yes: true, no: false
+};
+
+const DEFAULT_LENIENT = process.env.CRITERIA_VALIDATION === 'lenient';
+const DEFAULT_CANONICAL = process.env.CRITERIA_CANONICAL === 'true';
+
+// How uncached criteria are answered: exact scrapes, approximate
+// interpolation from cached neighbours, or auto (approximate when the
+// estimate is tight enough, otherwise scrape)
+const RESULT_MODES = ['exact', 'approximate', 'auto'];
+const DEFAULT_MODE = RESULT_MODES.includes(process.env.RESULTS_MODE) ? process.env.RESULTS_MODE : 'exact';
+
+// Where results come from: the upstream site (through the cache), or the
+// local model fitted from cached results (probability-model.js)
+const RESULT_SOURCES = ['upstream', 'model'];
+const DEFAULT_SOURCE = RESULT_SOURCES.includes(process.env.RESULTS_SOURCE) ? process.env.RESULTS_SOURCE : 'upstream';
+
+const CM_PER_INCH = 2.54;
+const INCOME_MULTIPLIERS = { k: 1e3, m: 1e6 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Height in cm from a number (cm) or a string with units: "180", "180 cm",
+// "1.8 m", "70 in", "70\"", "6'0\"", "6' 2", "5 ft 10 in", "5ft10". Returns NaN
+// for anything else.
+function parseHeight(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim().toLowerCase()
+        .replace(/[′’]/g, "'")
+        .replace(/[″”]|''/g, '"');
+
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+
+    let match = text.match(/^(\d+(?:\.\d+)?)\s*(cm|centimet(?:er|re)s?)$/);
+    if (match) return Number(match[1]);
+
+    match = text.match(/^(\d+(?:\.\d+)?)\s*(m|met(?:er|re)s?)$/);
+    if (match) return round2(Number(match[1]) * 100);
+
+    match = text.match(/^(\d+(?:\.\d+)?)\s*("|in|inch|inches)$/);
+    if (match) return round2(Number(match[1]) * CM_PER_INCH);
+
+    match = text.match(/^(\d+(?:\.\d+)?)\s*('|ft|foot|feet)\s*(?:(\d+(?:\.\d+)?)\s*("|in|inch|inches)?)?$/);
+    if (match) {
+        const inches = Number(match[1]) * 12 + (match[3] ? Number(match[3]) : 0);
+        return round2(inches * CM_PER_INCH);
+    }
+
+    return NaN;
+}
+
+// Income as a number from "75000", "75,000", "$100k", "1.2M" or "$ 1.5 m".
+// Returns NaN for anything else.
+function parseIncome(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim().toLowerCase().replace(/^\$\s*/, '').replace(/\s+/g, '');
+
+    const match = text.match(/^(-?\d{1,3}(?:,\d{3})+|-?\d+)(\.\d+)?([km])?$/);
+    if (!match) return NaN;
+
+    const amount = Number(match[1].replace(/,/g, '') + (match[2] || ''));
+    return Math.round(amount * (match[3] ? INCOME_MULTIPLIERS[match[3]] : 1));
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function firstPresent(...values) {
+    return values.find(value => !isMissing(value));
+}
+
+class CriteriaValidator {
+    constructor(input, lenient) {
+        this.input = input;
+        this.lenient = lenient;
+        this.errors = [];
+        this.adjustments = [];
+    }
+
+    fail(field, message, value, fallback) {
+        if (this.lenient) {
+            this.adjustments.push({ field, message, value, usedValue: fallback });
+            return fallback;
+        }
+        this.errors.push({ field, message, value });
+        return fallback;
+    }
+
+    // field selects the limits; name is the input key reported back (height or minHeight)
+    number(field, value, name = field) {
+        const limits = CRITERIA_LIMITS[field];
+        if (isMissing(value) || value === 'any') return limits.default;
+
+        const units = UNIT_PARSERS[field];
+        const parsed = units ? units.parse(value) : (typeof value === 'number' ? value : Number(String(value).trim()));
+        if (!Number.isFinite(parsed)) {
+            const expected = units ? units.formats : 'a number';
+            return this.fail(name, `${name} must be ${expected}`, value, limits.default);
+        }
+
+        let result = parsed;
+        if (limits.integer && !Number.isInteger(result)) {
+            result = this.fail(name, `${name} must be a whole number`, value, Math.round(result));
+        }
+        if (result < limits.min || result > limits.max) {
+            const range = limits.max === Infinity ? `at least ${limits.min}` : `between ${limits.min} and ${limits.max}`;
+            result = this.fail(name, `${name} must be ${range}`, value, Math.min(limits.max, Math.max(limits.min, result)));
+        }
+        return result;
+    }
+
+    boolean(field, value) {
+        if (isMissing(value)) return false;
+        if (typeof value === 'boolean') return value;
+        const parsed = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+        if (parsed === undefined) {
+            return this.fail(field, `${field} must be true or false`, value, false);
+        }
+        return parsed;
+    }
+
+    mode(value) {
+        if (isMissing(value)) return DEFAULT_MODE;
+        const normalized = String(value).trim().toLowerCase();
+        if (!RESULT_MODES.includes(normalized)) {
+            return this.fail('mode', `mode must be one of ${RESULT_MODES.join(', ')}`, value, DEFAULT_MODE);
+        }
+        return normalized;
+    }
+
+    source(value) {
+        if (isMissing(value)) return DEFAULT_SOURCE;
+        const normalized = String(value).trim().toLowerCase();
+        if (!RESULT_SOURCES.includes(normalized)) {
+            return this.fail('source', `source must be one of ${RESULT_SOURCES.join(', ')}`, value, DEFAULT_SOURCE);
+        }
+        return normalized;
+    }
+
+    race(value) {
+        if (isMissing(value)) return 'any';
+        const normalized = String(value).trim().toLowerCase();
+        if (RACE_VALUES[normalized] === undefined) {
+            return this.fail('race', 'race must be one of any, white, black, asian (or 0-3)', value, 'any');
+        }
+        return normalized;
+    }
+
+    validate() {
+        const input = this.input;
+        const criteria = {
+            minAge: this.number('minAge', input.minAge),
+            maxAge: this.number('maxAge', input.maxAge),
+            excludeMarried: this.boolean('excludeMarried', input.excludeMarried),
+            race: this.race(input.race),
+            height: this.number('height', firstPresent(input.height, input.minHeight), isMissing(input.height) ? 'minHeight' : 'height'),
+            excludeObese: this.boolean('excludeObese', input.excludeObese),
+            income: this.number('income', firstPresent(input.income, input.minIncome), isMissing(input.income) ? 'minIncome' : 'income')
+        };
+
+        // Only compare ages that parsed; a default standing in for a rejected
+        // value would report a range error the caller never made
+        const ageRejected = this.errors.some(error => error.field === 'minAge' || error.field === 'maxAge');
+        if (!ageRejected && criteria.minAge > criteria.maxAge) {
+            if (this.lenient) {
+                this.adjustments.push({
+                    field: 'minAge',
+                    message: 'minAge was greater than maxAge; the range was swapped',
+                    value: criteria.minAge,
+                    usedValue: criteria.maxAge
+                });
+                [criteria.minAge, criteria.maxAge] = [criteria.maxAge, criteria.minAge];
+            } else {
+                this.errors.push({
+                    field: 'minAge',
+                    message: `minAge (${criteria.minAge}) must not be greater than maxAge (${criteria.maxAge})`,
+                    value: input.minAge
+                });
+            }
+        }
+
+        // Request options travel with the criteria but are not part of the cache key
+        for (const option of ['screenshot', 'includeHtml']) {
+            if (input[option] !== undefined) criteria[option] = input[option];
+        }
+        criteria.mode = this.mode(input.mode);
+        criteria.source = this.source(input.source);
+
+        return criteria;
+    }
+}
+
+// Validate raw criteria (JSON body or query-string values). Returns
+// { criteria, errors, adjustments }; errors is empty in lenient mode.
+function validateCriteria(input, options = {}) {
+    const lenient = options.lenient !== undefined ? Boolean(options.lenient) : DEFAULT_LENIENT;
+    const validator = new CriteriaValidator(input || {}, lenient);
+    const criteria = validator.validate();
+    return { criteria, errors: validator.errors, adjustments: validator.adjustments, lenient };
+}
+
+// Whether the caller asked for an option (query string or JSON body)
+function wantsOption(value) {
+    if (value === undefined) return undefined;
+    return value === true || value === 'true' || value === '1';
+}
+
+// Snap height and income to the nearest step in the shared step table so
+// near-duplicate requests share one cache entry. Returns the snapped
+// criteria and the fields that changed.
+function canonicalizeCriteria(criteria) {
+    const snapped = {
+        ...criteria,
+        height: CRITERIA_STEPS.snapHeight(criteria.height),
+        income: CRITERIA_STEPS.snapIncome(criteria.income)
+    };
+    const changed = ['height', 'income'].filter(field => snapped[field] !== criteria[field]);
+    return { criteria: snapped, changed };
+}
+
+// Validate or throw a VALIDATION_ERROR listing every invalid field. With
+// canonical=true (or CRITERIA_CANONICAL=true) the validated criteria are also
+// snapped to upstream steps; requestedCriteria keeps the unsnapped values.
+function parseCriteria(input, options = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ApiError('VALIDATION_ERROR', 'Criteria object is required');
+    }
+
+    const result = validateCriteria(input, { lenient: wantsOption(options.lenient !== undefined ? options.lenient : input.lenient) });
+    if (result.errors.length > 0) {
+        throw new ApiError('VALIDATION_ERROR', `Invalid criteria: ${result.errors.map(error => error.message).join('; ')}`, {
+            details: { fields: result.errors }
+        });
+    }
+
+    const canonical = wantsOption(options.canonical !== undefined ? options.canonical : input.canonical);
+    result.canonical = canonical !== undefined ? canonical : DEFAULT_CANONICAL;
+    result.requestedCriteria = result.criteria;
+    result.snappedFields = [];
+    if (result.canonical) {
+        const snapped = canonicalizeCriteria(result.criteria);
+        result.criteria = snapped.criteria;
+        result.snappedFields = snapped.changed;
+    }
+    return result;
+}
+
+module.exports = {
+    validateCriteria,
+    parseCriteria,
+    canonicalizeCriteria,
+    parseHeight,
+    parseIncome,
+    CRITERIA_LIMITS,
+    RACE_VALUES,
+    RESULT_MODES,
+    RESULT_SOURCES
+};
@@ -0,0 +1,156 @@
+const definition = require('./extractor-definition.json');
+const { sanitizeResults } = require('./html-sanitizer');
+
+// Runs inside the browser. Must stay self-contained: Playwright serializes it.
+function extractInPage(def) {
+    const data = {};
+    const matches = {};
+
+    const runStrategy = (strategy) => {
+        const elements = Array.from(document.querySelectorAll(strategy.selector));
+
+        switch (strategy.type) {
+            case 'index': {
+                if (elements.length < (strategy.minCount || strategy.index + 1)) return null;
+                const text = elements[strategy.index].textContent.trim();
+                return text || null;
+            }
+            case 'match': {
+                const pattern = strategy.pattern ? new RegExp(strategy.pattern) : null;
+                for (const element of elements) {
+                    const text = element.textContent.trim();
+                    if (strategy.contains && !text.includes(strategy.contains)) continue;
+                    if (pattern && !pattern.test(text)) continue;
+                    if (strategy.oneOf && !strategy.oneOf.includes(text)) continue;
+                    return text;
+                }
+                return null;
+            }
+            case 'html':
+                return elements.length > 0 ? elements[0].innerHTML : null;
+            case 'list':
+                return elements.length > 0 ? elements.map(el => el.outerHTML) : null;
+            default:
+                return null;
+        }
+    };
+
+    for (const [field, strategies] of Object.entries(def.fields)) {
+        matches[field] = null;
+        for (let i = 0; i < strategies.length; i++) {
+            const value = runStrategy(strategies[i]);
+            if (value !== null) {
+                data[field] = value;
+                matches[field] = { strategy: i, selector: strategies[i].selector, fallback: i > 0 };
+                break;
+            }
+        }
+    }
+
+    // Capture what the page looked like when none of the required fields matched
+    const found = def.requiredAny.some(field => data[field]);
+    let debug = null;
+    if (!found) {
+        debug = {
+            html: document.body ? document.body.innerHTML.substring(0, 2000) : '',
+            elements: Array.from(document.querySelectorAll(def.debugSelector)).map((el, index) => ({
+                index: index,
+                text: el.textContent.trim(),
+                innerHTML: el.innerHTML
+            }))
+        };
+    }
+
+    return { data, matches, debug };
+}
+
+// Summarize per-field matches as primary / fallback / missing
+function summarizeMatches(matches) {
+    const summary = {};
+    for (const [field, match] of Object.entries(matches)) {
+        if (!match) {
+            summary[field] = 'missing';
+        } else {
+            summary[field] = match.fallback ? `fallback:${match.selector}` : 'primary';
+        }
+    }
+    return summary;
+}
+
+// Extract results from a loaded page using the current definition.
+// Resolves to { data, matches, debug }. data carries extractorVersion and an
+// extraction summary so every cache entry records how it was produced.
+// Upstream HTML is sanitized here, before anything can store or return it.
+async function extractResults(page, def = definition) {
+    const { data, matches, debug } = await page.evaluate(extractInPage, def);
+    sanitizeResults(data);
+    const extraction = summarizeMatches(matches);
+
+    const drifted = Object.entries(extraction).filter(([, status]) => status !== 'primary');
+    if (drifted.length > 0) {
+        console.log(`⚠️ Extractor v${def.version} did not use primary selectors for:`,
+            drifted.map(([field, status]) => `${field}=${status}`).join(', '));
+    }
+
+    data.extractorVersion = def.version;
+    data.extraction = extraction;
+    return { data, matches, debug };
+}
+
+// Build a drift report over cached entries.
+// entries: [{ key, data }] where data is a stored scrape result.
+function buildDriftReport(entries, def = definition) {
+    const report = {
+        currentVersion: def.version,
+        totalEntries: entries.length,
+        byVersion: {},
+        outdatedEntries: [],
+        fallbackEntries: [],
+        // Field status only counts entries produced by the current definition
+        fieldStatus: {}
+    };
+
+    for (const field of Object.keys(def.fields)) {
+        report.fieldStatus[field] = { primary: 0, fallback: 0, missing: 0, unknown: 0 };
+    }
+
+    for (const { key, data } of entries) {
+        const version = data && data.extractorVersion !== undefined ? data.extractorVersion : 'unversioned';
+        report.byVersion[version] = (report.byVersion[version] || 0) + 1;
+
+        if (version !== def.version) {
+            report.outdatedEntries.push({ key, extractorVersion: version });
+            continue;
+        }
+
+        const extraction = (data && data.extraction) || {};
+        const fallbackFields = [];
+        for (const field of Object.keys(def.fields)) {
+            const status = extraction[field];
+            if (!status) {
+                report.fieldStatus[field].unknown++;
+            } else if (status === 'primary') {
+                report.fieldStatus[field].primary++;
+            } else if (status === 'missing') {
+                report.fieldStatus[field].missing++;
+            } else {
+                report.fieldStatus[field].fallback++;
+                fallbackFields.push(field);
+            }
+        }
+
+        if (fallbackFields.length > 0) {
+            report.fallbackEntries.push({ key, extractorVersion: version, fields: fallbackFields });
+        }
+    }
+
+    // Drift: a field that only succeeded through fallbacks under the current definition
+    report.driftedFields = Object.entries(report.fieldStatus)
+        .filter(([, status]) => status.fallback > 0 && status.primary === 0)
+        .map(([field]) => field);
+    report.driftDetected = report.driftedFields.length > 0;
+
+    return report;
+}
+
+module.exports = { extractResults, buildDriftReport, EXTRACTOR_DEFINITION: definition };
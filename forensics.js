@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Failure forensics: every failed scrape attempt leaves a bundle with a
+// Playwright trace, the full page HTML, console output, the final URL and
+// navigation timings under cache/forensics/<bundle id>/. Disk use is bounded
+// by bundle count, age and total size; a trace over FORENSICS_MAX_TRACE_MB is
+// dropped from its bundle. FORENSICS_TRACE=false turns tracing off.
+class ForensicsRecorder {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, 'cache', 'forensics');
+        this.maxBundles = options.maxBundles || parseInt(process.env.FORENSICS_MAX_BUNDLES) || 50;
+        this.maxAgeMs = options.maxAgeMs || (parseFloat(process.env.FORENSICS_MAX_AGE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+        this.maxTotalBytes = options.maxTotalBytes || (parseFloat(process.env.FORENSICS_MAX_TOTAL_MB) || 200) * 1024 * 1024;
+        this.maxTraceBytes = options.maxTraceBytes || (parseFloat(process.env.FORENSICS_MAX_TRACE_MB) || 20) * 1024 * 1024;
+        this.traceEnabled = options.traceEnabled !== undefined ? options.traceEnabled : process.env.FORENSICS_TRACE !== 'false';
+    }
+
+    // Start recording a scrape attempt on a page; returns a session to end
+    // with succeed() or fail(). Never throws: forensics must not break scrapes.
+    async begin(page, context = page.context()) {
+        const session = new ForensicsSession(this, page, context);
+        await session.start();
+        return session;
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && /^[0-9TZ-]+-[a-f0-9]{8}$/.test(id);
+    }
+
+    bundleDir(id) {
+        return path.join(this.dir, id);
+    }
+
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        return fs.readdirSync(this.dir)
+            .filter(id => this.isValidId(id))
+            .map(id => this.get(id))
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Bundle metadata plus the files available for download
+    get(id) {
+        if (!this.isValidId(id)) return null;
+        const metaFile = path.join(this.bundleDir(id), 'meta.json');
+        if (!fs.existsSync(metaFile)) return null;
+
+        try {
+            const meta = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+            const files = fs.readdirSync(this.bundleDir(id)).map(name => ({
+                name,
+                bytes: fs.statSync(path.join(this.bundleDir(id), name)).size
+            }));
+            return { ...meta, files };
+        } catch (error) {
+            console.log(`Could not read forensics bundle ${id}:`, error.message);
+            return null;
+        }
+    }
+
+    filePath(id, name) {
+        if (!this.isValidId(id) || !/^[a-z]+\.(json|html|zip)$/.test(name)) return null;
+        const file = path.join(this.bundleDir(id), name);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    remove(id) {
+        if (!this.isValidId(id)) return false;
+        fs.rmSync(this.bundleDir(id), { recursive: true, force: true });
+        return true;
+    }
+
+    // Keep at most maxBundles bundles and maxTotalBytes on disk, none older
+    // than maxAgeMs; the newest bundles are kept first
+    enforceRetention() {
+        try {
+            const cutoff = Date.now() - this.maxAgeMs;
+            let totalBytes = 0;
+            this.list().forEach((bundle, index) => {
+                const bytes = bundle.files.reduce((sum, file) => sum + file.bytes, 0);
+                totalBytes += bytes;
+                if (index >= this.maxBundles || new Date(bundle.createdAt).getTime() < cutoff || (index > 0 && totalBytes > this.maxTotalBytes)) {
+                    totalBytes -= bytes;
+                    this.remove(bundle.id);
+                    console.log(`🗑️ Removed forensics bundle: ${bundle.id}`);
+                }
+            });
+        } catch (error) {
+            console.log('Error during forensics retention:', error.message);
+        }
+    }
+
+    getStats() {
+        const bundles = this.list();
+        return {
+            bundles: bundles.length,
+            newest: bundles.length > 0 ? bundles[0].createdAt : null,
+            maxBundles: this.maxBundles,
+            maxAgeDays: this.maxAgeMs / (24 * 60 * 60 * 1000),
+            totalBytes: bundles.reduce((sum, bundle) => sum + bundle.files.reduce((bytes, file) => bytes + file.bytes, 0), 0),
+            maxTotalMb: this.maxTotalBytes / (1024 * 1024),
+            maxTraceMb: this.maxTraceBytes / (1024 * 1024),
+            traceEnabled: this.traceEnabled
+        };
+    }
+}
+
+class ForensicsSession {
+    constructor(recorder, page, context) {
+        this.recorder = recorder;
+        this.page = page;
+        this.context = context;
+        this.startedAt = new Date();
+        this.console = [];
+        this.navigations = [];
+        this.tracing = false;
+
+        this.onConsole = (message) => {
+            this.console.push({ type: message.type(), text: message.text(), timestamp: new Date().toISOString() });
+        };
+        this.onPageError = (error) => {
+            this.console.push({ type: 'pageerror', text: error.message, timestamp: new Date().toISOString() });
+        };
+        this.onRequestFailed = (request) => {
+            const failure = request.failure();
+            this.console.push({
+                type: 'requestfailed',
+                text: `${request.method()} ${request.url()} ${failure ? failure.errorText : ''}`.trim(),
+                timestamp: new Date().toISOString()
+            });
+        };
+    }
+
+    async start() {
+        this.page.on('console', this.onConsole);
+        this.page.on('pageerror', this.onPageError);
+        this.page.on('requestfailed', this.onRequestFailed);
+
+        if (this.recorder.traceEnabled) {
+            try {
+                await this.context.tracing.start({ screenshots: true, snapshots: true });
+                this.tracing = true;
+            } catch (error) {
+                console.log('Could not start Playwright trace:', error.message);
+            }
+        }
+    }
+
+    // Record one navigation attempt: { attempt, url, durationMs, status, error }
+    recordNavigation(navigation) {
+        this.navigations.push({ ...navigation, timestamp: new Date().toISOString() });
+    }
+
+    detach() {
+        this.page.off('console', this.onConsole);
+        this.page.off('pageerror', this.onPageError);
+        this.page.off('requestfailed', this.onRequestFailed);
+    }
+
+    async succeed() {
+        await this.discard();
+    }
+
+    // End the session without writing a bundle, for failures that say
+    // nothing about the upstream (e.g. the local rate limiter said no)
+    async discard() {
+        this.detach();
+        if (this.tracing) {
+            await this.context.tracing.stop().catch(() => {});
+            this.tracing = false;
+        }
+    }
+
+    // Write the bundle for a failed attempt; resolves to the bundle id (or null)
+    async fail(error, details = {}) {
+        this.detach();
+
+        const createdAt = new Date();
+        const id = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+        const dir = this.recorder.bundleDir(id);
+
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+
+            let traceOmitted = null;
+            if (this.tracing) {
+                const traceFile = path.join(dir, 'trace.zip');
+                await this.context.tracing.stop({ path: traceFile })
+                    .catch(traceError => console.log('Could not save Playwright trace:', traceError.message));
+                this.tracing = false;
+
+                const traceBytes = fs.existsSync(traceFile) ? fs.statSync(traceFile).size : 0;
+                if (traceBytes > this.recorder.maxTraceBytes) {
+                    fs.unlinkSync(traceFile);
+                    traceOmitted = `trace was ${Math.round(traceBytes / 1024 / 1024)} MB, over the ${this.recorder.maxTraceBytes / (1024 * 1024)} MB limit`;
+                    console.log(`⚠️ Dropped oversized Playwright trace: ${traceOmitted}`);
+                }
+            }
+
+            let html = null;
+            let finalUrl = null;
+            let performanceTiming = null;
+            try {
+                finalUrl = this.page.url();
+                html = await this.page.content();
+                performanceTiming = await this.page.evaluate(() => {
+                    const entry = performance.getEntriesByType('navigation')[0];
+                    return entry ? entry.toJSON() : null;
+                });
+            } catch (pageError) {
+                console.log('Could not capture page state for forensics:', pageError.message);
+            }
+
+            if (html !== null) {
+                fs.writeFileSync(path.join(dir, 'page.html'), html);
+            }
+            fs.writeFileSync(path.join(dir, 'console.json'), JSON.stringify(this.console, null, 2));
+            fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify({
+                id,
+                createdAt: createdAt.toISOString(),
+                startedAt: this.startedAt.toISOString(),
+                durationMs: createdAt - this.startedAt,
+                error: error ? error.message : null,
+                stack: error ? error.stack : null,
+                finalUrl,
+                navigations: this.navigations,
+                performanceTiming,
+                ...(traceOmitted ? { traceOmitted } : {}),
+                ...details
+            }, null, 2));
+
+            console.log(`🧾 Saved forensics bundle: ${id}`);
+            this.recorder.enforceRetention();
+            return id;
+        } catch (writeError) {
+            console.log('Could not save forensics bundle:', writeError.message);
+            return null;
+        }
+    }
+}
+
+module.exports = ForensicsRecorder;
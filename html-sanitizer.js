@@ -0,0 +1,112 @@
+const sanitizeHtml = require('sanitize-html');
+const { UPSTREAM_BASE_URL } = require('./upstream-config');
+
+// Bump when the allowlist changes so stored entries can be re-sanitized
+const SANITIZER_VERSION = 2;
+
+// Hosts scraped fragments may link to or load images from. Relative URLs
+// (resolved against the upstream site by the results page) are always allowed.
+const ALLOWED_URL_HOSTS = ['igotstandardsbro.com', 'www.igotstandardsbro.com', new URL(UPSTREAM_BASE_URL).hostname]
+    .concat((process.env.SANITIZER_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean));
+
+const SVG_TAGS = ['svg', 'g', 'path', 'circle', 'ellipse', 'rect', 'line', 'polygon', 'polyline', 'use', 'defs', 'title'];
+const SVG_ATTRIBUTES = [
+    'viewBox', 'xmlns', 'fill', 'stroke', 'stroke-width', 'd', 'cx', 'cy', 'r', 'rx', 'ry',
+    'x', 'y', 'x1', 'y1', 'x2', 'y2', 'points', 'width', 'height', 'transform', 'opacity'
+];
+
+const LENGTH = /^-?\d+(\.\d+)?(px|%|em|rem|vw|vh)?$/;
+const COLOR = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+
+function isAllowedUrl(value) {
+    if (!value) return false;
+    const url = value.trim();
+    // Relative paths, but not protocol-relative //host URLs
+    if (url.startsWith('/') && !url.startsWith('//')) return true;
+    if (url.startsWith('#')) return true;
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && ALLOWED_URL_HOSTS.includes(parsed.hostname);
+    } catch {
+        return false;
+    }
+}
+
+// Drop URL attributes that point anywhere unexpected
+function filterUrlAttributes(attributeNames) {
+    return (tagName, attribs) => {
+        const cleaned = { ...attribs };
+        for (const name of attributeNames) {
+            if (cleaned[name] !== undefined && !isAllowedUrl(cleaned[name])) {
+                delete cleaned[name];
+            }
+        }
+        return { tagName, attribs: cleaned };
+    };
+}
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'div', 'span', 'p', 'ul', 'ol', 'li', 'b', 'strong', 'i', 'em', 'u', 'small',
+        'sup', 'sub', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'img'
+    ].concat(SVG_TAGS),
+    allowedAttributes: {
+        '*': ['class', 'style', 'title', 'aria-label', 'aria-hidden', 'role'],
+        a: ['href', 'target', 'rel'],
+        img: ['src', 'alt', 'width', 'height'],
+        ...Object.fromEntries(SVG_TAGS.map(tag => [tag, SVG_ATTRIBUTES])),
+        // Only <use> may reference anything, and only allowed URLs (see transformTags)
+        use: SVG_ATTRIBUTES.concat('href')
+    },
+    allowedStyles: {
+        '*': {
+            'width': [LENGTH],
+            'height': [LENGTH],
+            'left': [LENGTH],
+            'top': [LENGTH],
+            'margin': [LENGTH],
+            'padding': [LENGTH],
+            'opacity': [/^(0|1|0?\.\d+)$/],
+            'color': [COLOR],
+            'background-color': [COLOR],
+            'display': [/^(block|inline|inline-block|flex|inline-flex|grid|none)$/],
+            'text-align': [/^(left|right|center|justify)$/]
+        }
+    },
+    allowedSchemes: ['https'],
+    allowedSchemesAppliedToAttributes: ['href', 'src'],
+    allowProtocolRelative: false,
+    disallowedTagsMode: 'discard',
+    transformTags: {
+        a: filterUrlAttributes(['href']),
+        img: filterUrlAttributes(['src']),
+        use: filterUrlAttributes(['href'])
+    },
+    parser: {
+        lowerCaseAttributeNames: false
+    }
+};
+
+function sanitizeFragment(html) {
+    if (typeof html !== 'string') return html;
+    return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+// Sanitize every upstream HTML fragment of a scrape result in place
+function sanitizeResults(results) {
+    if (!results) return results;
+
+    for (const field of ['populationData', 'paragraphText', 'scoreFlexHTML']) {
+        if (results[field] !== undefined) {
+            results[field] = sanitizeFragment(results[field]);
+        }
+    }
+    if (Array.isArray(results.boxParagraphList)) {
+        results.boxParagraphList = results.boxParagraphList.map(sanitizeFragment).filter(Boolean);
+    }
+
+    results.sanitizerVersion = SANITIZER_VERSION;
+    return results;
+}
+
+module.exports = { sanitizeResults, sanitizeFragment, isAllowedUrl, SANITIZER_VERSION };
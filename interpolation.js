@@ -0,0 +1,109 @@
+// Probability estimates from cached results that differ only in the
+// continuous criteria (age range, height, income). Entries must match the
+// target exactly on every discrete field.
+//
+// The estimate is interpolated one dimension at a time between the closest
+// cached values below and above the target (multilinear on whatever grid the
+// cache holds), on a log scale because probability falls off roughly
+// exponentially as a preference tightens. Nothing is extrapolated: every
+// continuous field needs cached neighbours on both sides, or an exact match.
+//
+// The error bound assumes probability is monotonic in each continuous field,
+// which holds for the upstream's filters: the true value then lies between
+// the lowest and highest of the cached corner values used.
+const CONTINUOUS_FIELDS = ['minAge', 'maxAge', 'minHeight', 'minIncome'];
+const DISCRETE_FIELDS = ['race', 'excludeMarried', 'excludeObese'];
+
+// Interpolate between two probabilities (percent) at fraction t, in log
+// space when both are positive
+function interpolatePercent(p1, p2, t) {
+    if (p1 > 0 && p2 > 0) {
+        return Math.exp(Math.log(p1) + t * (Math.log(p2) - Math.log(p1)));
+    }
+    return p1 + t * (p2 - p1);
+}
+
+// entries: [{ key, criteria (normalized), probabilityPercent }]. Returns
+// { probabilityPercent, low, high, sources } or null.
+function estimate(entries, target, fields) {
+    if (entries.length === 0) return null;
+    if (fields.length === 0) {
+        const entry = entries[0];
+        return { probabilityPercent: entry.probabilityPercent, low: entry.probabilityPercent, high: entry.probabilityPercent, sources: [entry] };
+    }
+
+    const [field, ...rest] = fields;
+    const value = target[field];
+
+    const exact = entries.filter(entry => entry.criteria[field] === value);
+    const fromExact = estimate(exact, target, rest);
+    if (fromExact) return fromExact;
+
+    const values = [...new Set(entries.map(entry => entry.criteria[field]))].sort((a, b) => a - b);
+    const lower = values.filter(candidate => candidate < value).pop();
+    const upper = values.find(candidate => candidate > value);
+    if (lower === undefined || upper === undefined) return null;
+
+    const below = estimate(entries.filter(entry => entry.criteria[field] === lower), target, rest);
+    const above = estimate(entries.filter(entry => entry.criteria[field] === upper), target, rest);
+    if (!below || !above) return null;
+
+    const t = (value - lower) / (upper - lower);
+    return {
+        probabilityPercent: interpolatePercent(below.probabilityPercent, above.probabilityPercent, t),
+        low: Math.min(below.low, above.low),
+        high: Math.max(below.high, above.high),
+        sources: [...below.sources, ...above.sources]
+    };
+}
+
+// Estimate the probability for normalized target criteria from cached
+// entries. Returns null when the cache does not surround the target.
+function interpolateProbability(entries, target) {
+    const usable = entries.filter(entry =>
+        entry.probabilityPercent !== null && entry.probabilityPercent !== undefined &&
+        DISCRETE_FIELDS.every(field => entry.criteria[field] === target[field]));
+
+    const result = estimate(usable, target, CONTINUOUS_FIELDS);
+    if (!result) return null;
+
+    const errorBound = Math.max(result.probabilityPercent - result.low, result.high - result.probabilityPercent);
+    return {
+        probabilityPercent: result.probabilityPercent,
+        errorBound: {
+            low: result.low,
+            high: result.high,
+            percentagePoints: errorBound,
+            relative: result.probabilityPercent > 0 ? errorBound / result.probabilityPercent : null
+        },
+        sources: result.sources
+    };
+}
+
+// Results from the precache runner's cache/results.json (criteria under
+// `parameters`, race as a number and height in cm) as [{ criteria, data }],
+// with criteria normalized the way the server cache stores them
+function gridEntries(results) {
+    return Object.values(results || {})
+        .filter(result => result && result.parameters)
+        .map(({ parameters, ...data }) => ({
+            criteria: {
+                minAge: parseInt(parameters.minAge) || 25,
+                maxAge: parseInt(parameters.maxAge) || 35,
+                excludeMarried: parameters.excludeMarried === true || parameters.excludeMarried === 'true',
+                race: Number(parameters.race) || 0,
+                minHeight: Number(parameters.minHeight) || 0,
+                excludeObese: parameters.excludeObese === true || parameters.excludeObese === 'true',
+                minIncome: Number(parameters.minIncome) || 0
+            },
+            data
+        }));
+}
+
+module.exports = {
+    CONTINUOUS_FIELDS,
+    DISCRETE_FIELDS,
+    interpolatePercent,
+    interpolateProbability,
+    gridEntries
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Persistent queue of scrape jobs. Jobs are kept in cache/jobs.json so that
+// queued and interrupted work is picked up again after a restart.
+class JobQueue {
+    constructor(worker, options = {}) {
+        this.worker = worker;
+        this.cacheDir = options.cacheDir || path.join(__dirname, 'cache');
+        this.jobsFile = path.join(this.cacheDir, 'jobs.json');
+        this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+        this.retentionMs = options.retentionMs || parseInt(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000;
+        this.jobs = new Map();
+        this.running = 0;
+        this.loadJobs();
+    }
+
+    loadJobs() {
+        try {
+            if (!fs.existsSync(this.cacheDir)) {
+                fs.mkdirSync(this.cacheDir, { recursive: true });
+            }
+
+            if (fs.existsSync(this.jobsFile)) {
+                const jobsData = JSON.parse(fs.readFileSync(this.jobsFile, 'utf8'));
+                this.jobs = new Map(Object.entries(jobsData));
+
+                // Jobs that were running when the server stopped go back in the queue
+                let requeued = 0;
+                for (const job of this.jobs.values()) {
+                    if (job.status === 'running') {
+                        job.status = 'queued';
+                        job.startedAt = null;
+                        requeued++;
+                    }
+                }
+                console.log(`Loaded ${this.jobs.size} jobs (${requeued} requeued after restart)`);
+            }
+        } catch (error) {
+            console.error('Error loading jobs:', error.message);
+            this.jobs = new Map();
+        }
+    }
+
+    saveJobs() {
+        try {
+            const jobsObject = Object.fromEntries(this.jobs);
+            fs.writeFileSync(this.jobsFile, JSON.stringify(jobsObject, null, 2));
+        } catch (error) {
+            console.error('Error saving jobs to file:', error.message);
+        }
+    }
+
+    // Add a job that still needs scraping and start it when a slot is free
+    enqueue(criteria, cacheKey) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            criteria,
+            cacheKey,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            attempts: 0,
+            result: null,
+            error: null,
+            errorCode: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.saveJobs();
+        console.log(`📥 Queued job ${job.id} for key: ${cacheKey}`);
+        this.processQueue();
+        return job;
+    }
+
+    // Record a job that was answered straight from the cache
+    complete(criteria, cacheKey, result) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'succeeded',
+            criteria,
+            cacheKey,
+            createdAt: now,
+            startedAt: now,
+            finishedAt: now,
+            attempts: 0,
+            result,
+            error: null,
+            errorCode: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.saveJobs();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    processQueue() {
+        this.pruneJobs();
+
+        for (const job of this.jobs.values()) {
+            if (this.running >= this.concurrency) break;
+            if (job.status === 'queued') {
+                this.runJob(job);
+            }
+        }
+    }
+
+    async runJob(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.attempts++;
+        this.saveJobs();
+        console.log(`▶️ Running job ${job.id}`);
+
+        try {
+            job.result = await this.worker(job.criteria, job);
+            job.status = 'succeeded';
+            console.log(`✅ Job ${job.id} succeeded`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            job.errorCode = error.code || null;
+            console.log(`❌ Job ${job.id} failed:`, error.message);
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            this.running--;
+            this.saveJobs();
+            this.processQueue();
+        }
+    }
+
+    // Drop finished jobs older than the retention window
+    pruneJobs() {
+        const cutoff = Date.now() - this.retentionMs;
+        let removed = 0;
+        for (const [id, job] of this.jobs) {
+            if ((job.status === 'succeeded' || job.status === 'failed') &&
+                new Date(job.finishedAt).getTime() < cutoff) {
+                this.jobs.delete(id);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            this.saveJobs();
+        }
+    }
+
+    getStats() {
+        const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.status]++;
+        }
+        return {
+            totalJobs: this.jobs.size,
+            concurrency: this.concurrency,
+            ...counts
+        };
+    }
+}
+
+module.exports = JobQueue;
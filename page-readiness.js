@@ -0,0 +1,117 @@
+// Readiness-based page waiting shared by server.js and cache-system.js.
+//
+// Strategies (SCRAPE_WAIT_STRATEGY):
+//   selectors   - wait until the result selectors hold real values (default)
+//   networkidle - wait until the network has been idle for 500ms
+//   either      - whichever of the two happens first
+//   fixed       - legacy fixed sleep of SCRAPE_FIXED_WAIT_MS
+const WAIT_STRATEGIES = ['selectors', 'networkidle', 'either', 'fixed'];
+
+const DEFAULT_WAIT_OPTIONS = {
+    strategy: WAIT_STRATEGIES.includes(process.env.SCRAPE_WAIT_STRATEGY) ? process.env.SCRAPE_WAIT_STRATEGY : 'selectors',
+    timeout: parseInt(process.env.SCRAPE_WAIT_TIMEOUT_MS) || 20000,
+    fixedWait: parseInt(process.env.SCRAPE_FIXED_WAIT_MS) || 8000,
+    pollInterval: 250,
+    selector: '.result-number',
+    minCount: 3,
+    // Text the upstream page shows before the calculation has finished
+    placeholders: ['', '-', '--', '...', '…', 'NaN', 'NaN%', 'undefined', 'null', 'Loading', 'Loading...']
+};
+
+// Running totals of how long page waits actually took
+const waitStats = {
+    count: 0,
+    totalMs: 0,
+    maxMs: 0,
+    timeouts: 0,
+    byStrategy: {}
+};
+
+function recordWait(timing) {
+    waitStats.count++;
+    waitStats.totalMs += timing.waitedMs;
+    waitStats.maxMs = Math.max(waitStats.maxMs, timing.waitedMs);
+    if (!timing.ready) waitStats.timeouts++;
+    waitStats.byStrategy[timing.strategy] = (waitStats.byStrategy[timing.strategy] || 0) + 1;
+}
+
+function getWaitStats() {
+    return {
+        ...waitStats,
+        averageMs: waitStats.count > 0 ? Math.round(waitStats.totalMs / waitStats.count) : null,
+        byStrategy: { ...waitStats.byStrategy }
+    };
+}
+
+function waitForSelectors(page, options) {
+    return page.waitForFunction(({ selector, minCount, placeholders }) => {
+        const elements = document.querySelectorAll(selector);
+        if (elements.length < minCount) return false;
+        return Array.from(elements).slice(0, minCount).every(el => {
+            const text = el.textContent.trim();
+            return !placeholders.includes(text);
+        });
+    }, {
+        selector: options.selector,
+        minCount: options.minCount,
+        placeholders: options.placeholders
+    }, {
+        timeout: options.timeout,
+        polling: options.pollInterval
+    });
+}
+
+function waitForNetworkIdle(page, options) {
+    return page.waitForLoadState('networkidle', { timeout: options.timeout });
+}
+
+// Wait until the results page is ready to extract. Never throws on timeout:
+// extraction still runs and its own fallbacks decide whether the page is usable.
+// Resolves to { strategy, waitedMs, ready, readyBy, error }.
+async function waitForResults(page, overrides = {}) {
+    const options = { ...DEFAULT_WAIT_OPTIONS, ...overrides };
+    const startedAt = Date.now();
+    const timing = {
+        strategy: options.strategy,
+        waitedMs: 0,
+        ready: false,
+        readyBy: null,
+        error: null
+    };
+
+    try {
+        switch (options.strategy) {
+            case 'fixed':
+                await page.waitForTimeout(options.fixedWait);
+                timing.readyBy = 'fixed';
+                break;
+
+            case 'networkidle':
+                await waitForNetworkIdle(page, options);
+                timing.readyBy = 'networkidle';
+                break;
+
+            case 'either':
+                timing.readyBy = await Promise.any([
+                    waitForSelectors(page, options).then(() => 'selectors'),
+                    waitForNetworkIdle(page, options).then(() => 'networkidle')
+                ]);
+                break;
+
+            default:
+                await waitForSelectors(page, options);
+                timing.readyBy = 'selectors';
+        }
+        timing.ready = true;
+    } catch (error) {
+        // AggregateError from Promise.any carries the individual failures
+        timing.error = error.errors ? error.errors.map(e => e.message).join('; ') : error.message;
+    }
+
+    timing.waitedMs = Date.now() - startedAt;
+    recordWait(timing);
+    console.log(`⏱️ Page wait (${timing.strategy}) took ${timing.waitedMs}ms, ready: ${timing.ready}`);
+    return timing;
+}
+
+module.exports = { waitForResults, getWaitStats, WAIT_STRATEGIES, DEFAULT_WAIT_OPTIONS };
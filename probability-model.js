@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseProbability, expectedForProbability } = require('./result-metrics');
+
+// Offline estimator fitted from cached results: ridge regression of
+// logit(probability) on features of all seven criteria. Fitted by
+// `node cache-system.js fit-model`, saved as JSON and loaded by server.js to
+// answer source=model requests, or requests made while the upstream is down.
+const MODEL_FORMAT_VERSION = 1;
+const DEFAULT_MODEL_FILE = process.env.MODEL_FILE || path.join(__dirname, 'cache', 'model.json');
+const MIN_SAMPLES = parseInt(process.env.MODEL_MIN_SAMPLES) || 20;
+const HOLDOUT_SHARE = 0.2;
+const RIDGE_LAMBDA = 1e-3;
+const PROBABILITY_FLOOR = 1e-5;
+
+// Feature vector for normalized criteria (race 0-3, minHeight in cm)
+const FEATURES = [
+    { name: 'minAge', value: c => c.minAge },
+    { name: 'maxAge', value: c => c.maxAge },
+    { name: 'logAgeSpan', value: c => Math.log1p(c.maxAge - c.minAge) },
+    { name: 'minHeight', value: c => c.minHeight },
+    { name: 'minHeightSquared', value: c => c.minHeight * c.minHeight },
+    { name: 'logIncome', value: c => Math.log1p(c.minIncome) },
+    { name: 'logIncomeSquared', value: c => Math.log1p(c.minIncome) ** 2 },
+    { name: 'excludeMarried', value: c => c.excludeMarried ? 1 : 0 },
+    { name: 'excludeObese', value: c => c.excludeObese ? 1 : 0 },
+    { name: 'raceWhite', value: c => c.race === 1 ? 1 : 0 },
+    { name: 'raceBlack', value: c => c.race === 2 ? 1 : 0 },
+    { name: 'raceAsian', value: c => c.race === 3 ? 1 : 0 }
+];
+
+const logit = (p) => Math.log(p / (1 - p));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+function toTarget(percent) {
+    const p = Math.min(1 - PROBABILITY_FLOOR, Math.max(PROBABILITY_FLOOR, percent / 100));
+    return logit(p);
+}
+
+// Solve A x = b by Gaussian elimination with partial pivoting
+function solve(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        if (Math.abs(M[col][col]) < 1e-12) continue;
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        if (Math.abs(M[row][row]) < 1e-12) continue;
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+// Ridge regression on standardized features; returns means, scales and weights
+function fitRegression(samples) {
+    const rows = samples.map(sample => FEATURES.map(feature => feature.value(sample.criteria)));
+    const means = FEATURES.map((_, j) => rows.reduce((sum, row) => sum + row[j], 0) / rows.length);
+    const scales = FEATURES.map((_, j) => {
+        const variance = rows.reduce((sum, row) => sum + (row[j] - means[j]) ** 2, 0) / rows.length;
+        return Math.sqrt(variance) || 1;
+    });
+
+    // Intercept first, then the standardized features
+    const X = rows.map(row => [1, ...row.map((value, j) => (value - means[j]) / scales[j])]);
+    const y = samples.map(sample => toTarget(sample.probabilityPercent));
+    const size = FEATURES.length + 1;
+
+    const XtX = Array.from({ length: size }, () => new Array(size).fill(0));
+    const Xty = new Array(size).fill(0);
+    X.forEach((row, i) => {
+        for (let a = 0; a < size; a++) {
+            Xty[a] += row[a] * y[i];
+            for (let b = 0; b < size; b++) XtX[a][b] += row[a] * row[b];
+        }
+    });
+    for (let a = 1; a < size; a++) XtX[a][a] += RIDGE_LAMBDA * X.length;
+
+    return { means, scales, weights: solve(XtX, Xty) };
+}
+
+// Held-out samples are chosen by hashing the sample key, so the split is
+// stable across fits of the same data
+function isHeldOut(key) {
+    const hash = crypto.createHash('md5').update(String(key)).digest();
+    return hash.readUInt32BE(0) / 0xffffffff < HOLDOUT_SHARE;
+}
+
+const round = (value, digits = 3) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+class ProbabilityModel {
+    constructor(data) {
+        this.data = data;
+    }
+
+    get version() {
+        return this.data.version;
+    }
+
+    // Probability in percent for normalized criteria
+    predictPercent(criteria) {
+        const { means, scales, weights } = this.data.coefficients;
+        let x = weights[0];
+        FEATURES.forEach((feature, j) => {
+            x += weights[j + 1] * (feature.value(criteria) - means[j]) / scales[j];
+        });
+        return sigmoid(x) * 100;
+    }
+
+    // Version, training size and held-out metrics, without the coefficients
+    describe() {
+        const { coefficients, ...summary } = this.data;
+        return summary;
+    }
+
+    save(file = DEFAULT_MODEL_FILE) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpFile, file);
+        return file;
+    }
+
+    static load(file = DEFAULT_MODEL_FILE) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (data.formatVersion !== MODEL_FORMAT_VERSION) {
+            throw new Error(`Unsupported model format ${data.formatVersion} in ${file} (expected ${MODEL_FORMAT_VERSION}); fit the model again`);
+        }
+        return new ProbabilityModel(data);
+    }
+
+    // samples: [{ key, criteria (normalized), probabilityPercent }]. Held-out
+    // metrics come from a fit on the training split; the saved model is then
+    // refitted on every sample.
+    static fit(samples, options = {}) {
+        const usable = samples.filter(sample => sample.probabilityPercent !== null && sample.probabilityPercent !== undefined);
+        if (usable.length < MIN_SAMPLES) {
+            throw new Error(`Need at least ${MIN_SAMPLES} cached results with a probability to fit a model (found ${usable.length})`);
+        }
+
+        const test = usable.filter(sample => isHeldOut(sample.key));
+        const train = usable.filter(sample => !isHeldOut(sample.key));
+        const heldOut = test.length > 0 && train.length >= MIN_SAMPLES / 2
+            ? ProbabilityModel.evaluate(new ProbabilityModel({ coefficients: fitRegression(train) }), test)
+            : null;
+
+        const fittedAt = new Date().toISOString();
+        return new ProbabilityModel({
+            formatVersion: MODEL_FORMAT_VERSION,
+            version: `${fittedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${usable.length}`,
+            fittedAt,
+            method: 'ridge regression on logit(probability)',
+            features: FEATURES.map(feature => feature.name),
+            samples: { total: usable.length, train: train.length, heldOut: test.length, sources: options.sources || null },
+            metrics: { heldOut },
+            coefficients: fitRegression(usable)
+        });
+    }
+
+    // Accuracy on samples the model was not fitted on: mean absolute error in
+    // percentage points and in orders of magnitude, and how often the
+    // predicted delusion label matches
+    static evaluate(model, samples) {
+        let absolute = 0;
+        let log10 = 0;
+        let labelMatches = 0;
+        for (const sample of samples) {
+            const predicted = model.predictPercent(sample.criteria);
+            absolute += Math.abs(predicted - sample.probabilityPercent);
+            log10 += Math.abs(Math.log10(Math.max(predicted, 1e-3)) - Math.log10(Math.max(sample.probabilityPercent, 1e-3)));
+            if (expectedForProbability(predicted).code === expectedForProbability(sample.probabilityPercent).code) labelMatches++;
+        }
+        return {
+            samples: samples.length,
+            meanAbsoluteErrorPoints: round(absolute / samples.length),
+            meanAbsoluteErrorLog10: round(log10 / samples.length),
+            labelAccuracy: round(labelMatches / samples.length)
+        };
+    }
+}
+
+// Training samples from the precache results (cache/results.json, keyed by
+// combination id with a `parameters` object) and the server cache
+// (scraped_data.json, entries with normalized `criteria`). Server entries win
+// when both hold the same criteria.
+function collectSamples(precacheResults = {}, serverCache = {}) {
+    const byCriteria = new Map();
+    const add = (key, criteria, data, source) => {
+        if (!criteria || !data) return;
+        const normalized = {
+            minAge: Number(criteria.minAge),
+            maxAge: Number(criteria.maxAge),
+            excludeMarried: criteria.excludeMarried === true || criteria.excludeMarried === 'true',
+            race: Number(criteria.race) || 0,
+            minHeight: Number(criteria.minHeight) || 0,
+            excludeObese: criteria.excludeObese === true || criteria.excludeObese === 'true',
+            minIncome: Number(criteria.minIncome) || 0
+        };
+        byCriteria.set(JSON.stringify(normalized), {
+            key,
+            source,
+            criteria: normalized,
+            probabilityPercent: parseProbability(data.probability)
+        });
+    };
+
+    for (const [key, result] of Object.entries(precacheResults)) add(key, result.parameters, result, 'results.json');
+    for (const [key, entry] of Object.entries(serverCache)) add(key, entry.criteria, entry.data, 'scraped_data.json');
+
+    const samples = Array.from(byCriteria.values());
+    const sources = samples.reduce((counts, sample) => {
+        counts[sample.source] = (counts[sample.source] || 0) + 1;
+        return counts;
+    }, {});
+    return { samples, sources };
+}
+
+module.exports = {
+    ProbabilityModel,
+    collectSamples,
+    DEFAULT_MODEL_FILE,
+    MODEL_FORMAT_VERSION
+};
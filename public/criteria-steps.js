@@ -0,0 +1,48 @@
+// Criteria steps the upstream calculator distinguishes. Shared by the
+// frontend sliders (window.CRITERIA_STEPS) and the backend canonicalization
+// (require('./public/criteria-steps')), so both snap to the same values.
+(function (root) {
+    const CM_PER_INCH = 2.54;
+
+    function feetAndInches(inches) {
+        return `${Math.floor(inches / 12)}'${inches % 12}`;
+    }
+
+    // 5'0" to 6'7" in one-inch steps, then 7'0"
+    const heightInches = [];
+    for (let inches = 60; inches <= 79; inches++) heightInches.push(inches);
+    heightInches.push(84);
+
+    const heights = [{ value: 'any', label: 'Any height', cm: 0 }].concat(heightInches.map(inches => ({
+        value: feetAndInches(inches),
+        label: `${feetAndInches(inches)}"`,
+        cm: Math.round(inches * CM_PER_INCH * 100) / 100
+    })));
+
+    // $5k to $500k in $5k steps
+    const incomes = [{ value: 'any', label: 'Any income', amount: 0 }];
+    for (let amount = 5000; amount <= 500000; amount += 5000) {
+        incomes.push({ value: String(amount), label: `$${amount / 1000}k`, amount });
+    }
+
+    // Closest step value; ties go to the lower step. Values outside the table
+    // clamp to the first or last step, so every snapped value is one the
+    // upstream offers.
+    function nearest(values, target) {
+        return values.reduce((best, value) =>
+            Math.abs(value - target) < Math.abs(best - target) ? value : best, values[0]);
+    }
+
+    const CRITERIA_STEPS = {
+        heights,
+        incomes,
+        snapHeight: (cm) => nearest(heights.map(step => step.cm), cm),
+        snapIncome: (amount) => nearest(incomes.map(step => step.amount), amount)
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CRITERIA_STEPS;
+    } else {
+        root.CRITERIA_STEPS = CRITERIA_STEPS;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,74 @@
+const { DELUSION_SCALE, parseProbability } = require('./result-metrics');
+
+// Suggests the smallest relaxations of a set of criteria that reach a target
+// probability. Works on normalized criteria (CacheManager.getNormalizedCriteria)
+// so candidates compare field by field with cache entries.
+
+// Normalized fields a suggestion may relax, with what counts as looser
+const RELAXABLE_FIELDS = {
+    minAge: (original, candidate) => candidate < original,
+    maxAge: (original, candidate) => candidate > original,
+    minHeight: (original, candidate) => candidate < original,
+    minIncome: (original, candidate) => candidate < original,
+    race: (original, candidate) => original !== 0 && candidate === 0,
+    excludeMarried: (original, candidate) => original === true && candidate === false,
+    excludeObese: (original, candidate) => original === true && candidate === false
+};
+
+// Target from targetProbability ("5", "5%") or targetLabel (PICKY, "Picky").
+// A label target means reaching the lowest probability of that band.
+// Returns { target } or { errors } in the criteria validation shape.
+function resolveTarget(query) {
+    if (query.targetProbability !== undefined && query.targetProbability !== '') {
+        const text = String(query.targetProbability).trim();
+        const percent = /%$/.test(text) ? parseProbability(text) : Number(text);
+        if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            return { errors: [{ field: 'targetProbability', message: 'targetProbability must be a percentage above 0 and at most 100', value: query.targetProbability }] };
+        }
+        return { target: { probabilityPercent: percent, label: null } };
+    }
+
+    if (query.targetLabel !== undefined && query.targetLabel !== '') {
+        const wanted = String(query.targetLabel).trim().toLowerCase();
+        const band = DELUSION_SCALE.find(entry => entry.code.toLowerCase() === wanted || entry.label.toLowerCase() === wanted);
+        if (!band) {
+            return { errors: [{ field: 'targetLabel', message: `targetLabel must be one of ${DELUSION_SCALE.map(entry => entry.code).join(', ')}`, value: query.targetLabel }] };
+        }
+        return { target: { probabilityPercent: band.minProbability, label: band.code } };
+    }
+
+    return { errors: [{ field: 'targetProbability', message: 'targetProbability or targetLabel is required' }] };
+}
+
+// The changes that turn original into candidate, or null when candidate is
+// not a pure relaxation (it tightens some field, or is identical)
+function relaxationChanges(original, candidate) {
+    const changes = [];
+    for (const field of Object.keys(RELAXABLE_FIELDS)) {
+        if (original[field] === candidate[field]) continue;
+        if (!RELAXABLE_FIELDS[field](original[field], candidate[field])) return null;
+        changes.push({ field, from: original[field], to: candidate[field] });
+    }
+    return changes.length > 0 ? changes : null;
+}
+
+// Drop suggestions that change a superset of another suggestion's fields
+// without being closer, so only the smallest sets of changes remain
+function pruneDominated(suggestions) {
+    return suggestions.filter(suggestion => !suggestions.some(other => {
+        if (other === suggestion || other.distance > suggestion.distance) return false;
+        const fields = new Set(suggestion.changes.map(change => change.field));
+        const covered = other.changes.every(change => fields.has(change.field));
+        // Of two identical change sets keep the first
+        const smaller = other.changes.length < suggestion.changes.length || other.distance < suggestion.distance
+            || suggestions.indexOf(other) < suggestions.indexOf(suggestion);
+        return covered && smaller;
+    }));
+}
+
+module.exports = {
+    RELAXABLE_FIELDS,
+    resolveTarget,
+    relaxationChanges,
+    pruneDominated
+};
@@ -0,0 +1,131 @@
+// Typed values derived from the scraped result strings, plus a consistency
+// check between the scraped label, the score and the probability.
+
+// Delusion scale as used by the results page: a score and the lowest
+// probability (in percent) that still earns it. "Down to earth" is the
+// upstream label for the top band and shares Reasonable's score.
+const DELUSION_SCALE = [
+    { label: 'Down to earth', code: 'DOWN_TO_EARTH', score: 1, minProbability: 10 },
+    { label: 'Reasonable', code: 'REASONABLE', score: 1, minProbability: 10 },
+    { label: 'Picky', code: 'PICKY', score: 2, minProbability: 5 },
+    { label: 'Delusional', code: 'DELUSIONAL', score: 3, minProbability: 1 },
+    { label: 'Very Delusional', code: 'VERY_DELUSIONAL', score: 4, minProbability: 0.1 },
+    { label: 'Aspiring cat lady', code: 'ASPIRING_CAT_LADY', score: 5, minProbability: 0 }
+];
+
+const DELUSION_LABEL_CODES = DELUSION_SCALE.map(entry => entry.code);
+
+function findByLabel(label) {
+    if (!label) return null;
+    const normalized = label.trim().toLowerCase();
+    return DELUSION_SCALE.find(entry => entry.label.toLowerCase() === normalized) || null;
+}
+
+// Band the results page would show for a probability in percent
+function expectedForProbability(percent) {
+    return DELUSION_SCALE.find(entry => entry.code !== 'DOWN_TO_EARTH' && percent >= entry.minProbability);
+}
+
+// "2.1%", "<0.1%" -> 2.1, 0.1
+function parseProbability(text) {
+    if (text === undefined || text === null) return null;
+    const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*%/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// "4/5" -> { score: 4, max: 5 }
+function parseScore(text) {
+    if (text === undefined || text === null) return null;
+    const match = String(text).match(/(\d+)\s*\/\s*(\d+)/);
+    return match ? { score: parseInt(match[1], 10), max: parseInt(match[2], 10) } : null;
+}
+
+function getTypedValues(results) {
+    const percent = parseProbability(results.probability);
+    const score = parseScore(results.delusionScoreNumber);
+    const band = findByLabel(results.delusionScore);
+
+    return {
+        probabilityPercent: percent,
+        probabilityFraction: percent !== null ? percent / 100 : null,
+        score: score ? score.score : null,
+        scoreMax: score ? score.max : null,
+        label: band ? band.code : null
+    };
+}
+
+// Returns a list of { code, message } warnings; empty when everything agrees
+function validateResults(results) {
+    const warnings = [];
+    const typed = getTypedValues(results);
+    const band = findByLabel(results.delusionScore);
+
+    if (results.probability && typed.probabilityPercent === null) {
+        warnings.push({ code: 'UNPARSEABLE_PROBABILITY', message: `Could not parse probability "${results.probability}"` });
+    }
+    if (results.delusionScoreNumber && typed.score === null) {
+        warnings.push({ code: 'UNPARSEABLE_SCORE', message: `Could not parse delusion score "${results.delusionScoreNumber}"` });
+    }
+    if (results.delusionScore && !band) {
+        warnings.push({ code: 'UNKNOWN_LABEL', message: `Unknown delusion label "${results.delusionScore}"` });
+    }
+    if (typed.score !== null && (typed.score < 0 || typed.score > typed.scoreMax)) {
+        warnings.push({ code: 'SCORE_OUT_OF_RANGE', message: `Score ${typed.score} is outside 0-${typed.scoreMax}` });
+    }
+    if (band && typed.score !== null && band.score !== typed.score) {
+        warnings.push({
+            code: 'SCORE_LABEL_MISMATCH',
+            message: `Label "${band.label}" implies score ${band.score} but the page shows ${typed.score}/${typed.scoreMax}`
+        });
+    }
+    if (typed.probabilityPercent !== null) {
+        const expected = expectedForProbability(typed.probabilityPercent);
+        if (band && expected.score !== band.score) {
+            warnings.push({
+                code: 'PROBABILITY_LABEL_MISMATCH',
+                message: `Probability ${typed.probabilityPercent}% implies "${expected.label}" but the page shows "${band.label}"`
+            });
+        }
+        if (typed.score !== null && expected.score !== typed.score) {
+            warnings.push({
+                code: 'PROBABILITY_SCORE_MISMATCH',
+                message: `Probability ${typed.probabilityPercent}% implies score ${expected.score} but the page shows ${typed.score}`
+            });
+        }
+    }
+
+    return warnings;
+}
+
+// Aggregate consistency over many results, for cache statistics
+function summarizeConsistency(resultsList) {
+    const summary = {
+        checked: 0,
+        inconsistent: 0,
+        byCode: {}
+    };
+
+    for (const results of resultsList) {
+        summary.checked++;
+        const warnings = validateResults(results);
+        if (warnings.length > 0) {
+            summary.inconsistent++;
+        }
+        for (const warning of warnings) {
+            summary.byCode[warning.code] = (summary.byCode[warning.code] || 0) + 1;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    DELUSION_SCALE,
+    DELUSION_LABEL_CODES,
+    expectedForProbability,
+    parseProbability,
+    parseScore,
+    getTypedValues,
+    validateResults,
+    summarizeConsistency
+};
@@ -0,0 +1,154 @@
+// Turns the raw upstream HTML fragments (populationData, scoreFlexHTML,
+// boxParagraphList, paragraphText) into plain JSON. Works on fresh scrapes
+// and on entries already stored in the cache, so it parses strings rather
+// than relying on a live DOM.
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&nbsp;': ' '
+};
+
+// Class or src fragments that mark a highlighted / "on" element
+const ACTIVE_HINTS = /(^|[\s_-])(on|active|highlight(ed)?|selected|match(ed|ing)?|filled|yes)([\s_.-]|$)/i;
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&[a-z]+;/gi, entity => ENTITIES[entity] !== undefined ? ENTITIES[entity] : entity);
+}
+
+function htmlToText(html) {
+    if (!html) return '';
+    return decodeEntities(
+        html
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<[^>]*>/g, ' ')
+    ).replace(/\s+/g, ' ').trim();
+}
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    if (!match) return null;
+    return match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]);
+}
+
+// Opening tags in document order: [{ name, className, src, alt, raw }]
+function listTags(html) {
+    const tags = [];
+    const tagPattern = /<([a-z][a-z0-9-]*)\b[^>]*>/gi;
+    let match;
+    while ((match = tagPattern.exec(html)) !== null) {
+        tags.push({
+            name: match[1].toLowerCase(),
+            className: getAttribute(match[0], 'class') || '',
+            src: getAttribute(match[0], 'src') || getAttribute(match[0], 'href') || '',
+            alt: getAttribute(match[0], 'alt') || '',
+            raw: match[0]
+        });
+    }
+    return tags;
+}
+
+function isActive(tag) {
+    return ACTIVE_HINTS.test(tag.className) || ACTIVE_HINTS.test(tag.src.split('/').pop() || '');
+}
+
+// Probability numbers written in the visualizer text, e.g. "1 in 48" or "2.1%"
+function parseTextFigures(text) {
+    const figures = {};
+    const oneIn = text.match(/(\d[\d,]*(?:\.\d+)?)\s+(?:in|out of)\s+(\d[\d,]*(?:\.\d+)?)/i);
+    if (oneIn) {
+        figures.count = parseFloat(oneIn[1].replace(/,/g, ''));
+        figures.outOf = parseFloat(oneIn[2].replace(/,/g, ''));
+    }
+    const percent = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (percent) {
+        figures.percentage = parseFloat(percent[1]);
+    }
+    return figures;
+}
+
+// The visualizer draws the population as a grid of repeated icons and marks
+// the ones meeting the criteria. The icons are the most frequent repeated
+// element signature; highlighted icons carry an active-looking class or src.
+function parsePopulation(html) {
+    if (!html) return null;
+
+    const tags = listTags(html).filter(tag => ['img', 'svg', 'i', 'span', 'div', 'use', 'circle', 'rect', 'path'].includes(tag.name));
+    const groups = new Map();
+    for (const tag of tags) {
+        const baseClass = tag.className.split(/\s+/).filter(c => c && !ACTIVE_HINTS.test(c)).sort().join(' ');
+        const signature = `${tag.name}.${baseClass}`;
+        if (!groups.has(signature)) groups.set(signature, []);
+        groups.get(signature).push(tag);
+    }
+
+    let icons = [];
+    for (const group of groups.values()) {
+        if (group.length > icons.length) icons = group;
+    }
+    // A single element is a container, not a population grid
+    if (icons.length < 2) icons = [];
+
+    const highlighted = icons.filter(isActive).length;
+    const text = htmlToText(html);
+
+    return {
+        total: icons.length,
+        highlighted: highlighted,
+        ratio: icons.length > 0 ? highlighted / icons.length : null,
+        text: text || null,
+        ...parseTextFigures(text)
+    };
+}
+
+// Score icons (cat food tins): one image per point, "on" images are filled
+function parseScoreFlex(html) {
+    if (!html) return null;
+
+    const images = listTags(html).filter(tag => tag.name === 'img' || tag.name === 'svg');
+    const segments = images.map((tag, index) => ({
+        index: index,
+        on: isActive(tag),
+        src: tag.src || null,
+        alt: tag.alt || null
+    }));
+    const filled = segments.filter(segment => segment.on).length;
+
+    return {
+        segments: segments,
+        filled: filled,
+        total: segments.length,
+        text: htmlToText(html) || null
+    };
+}
+
+function parseCriteriaList(list) {
+    if (!Array.isArray(list)) return null;
+    return list.map(htmlToText).filter(Boolean);
+}
+
+// Structured view of a scrape result
+function parseResults(results) {
+    return {
+        population: parsePopulation(results.populationData),
+        scoreSegments: parseScoreFlex(results.scoreFlexHTML),
+        criteriaList: parseCriteriaList(results.boxParagraphList),
+        paragraph: results.paragraphText ? htmlToText(results.paragraphText) : null
+    };
+}
+
+module.exports = {
+    parseResults,
+    parsePopulation,
+    parseScoreFlex,
+    parseCriteriaList,
+    htmlToText
+};
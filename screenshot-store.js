@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+// Screenshots of scraped pages, stored outside public/ and keyed by cache key
+// so a cache entry and its screenshot live and die together.
+class ScreenshotStore {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, 'cache', 'screenshots');
+        this.maxCount = options.maxCount || parseInt(process.env.SCREENSHOT_MAX_COUNT) || 500;
+        this.maxAgeMs = options.maxAgeMs || (parseFloat(process.env.SCREENSHOT_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+        this.maxBytes = options.maxBytes || parseInt(process.env.SCREENSHOT_MAX_BYTES) || 500 * 1024 * 1024;
+        this.thumbnailWidth = options.thumbnailWidth || parseInt(process.env.SCREENSHOT_THUMBNAIL_WIDTH) || 320;
+
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    // Cache keys are md5 hex digests; anything else never touches the filesystem
+    isValidKey(key) {
+        return typeof key === 'string' && /^[a-f0-9]{32}$/.test(key);
+    }
+
+    pathFor(key, variant = 'full') {
+        return path.join(this.dir, variant === 'thumbnail' ? `${key}.thumb.png` : `${key}.png`);
+    }
+
+    urlFor(key, variant = 'full') {
+        return variant === 'thumbnail' ? `/api/screenshots/${key}/thumbnail` : `/api/screenshots/${key}`;
+    }
+
+    exists(key, variant = 'full') {
+        return this.isValidKey(key) && fs.existsSync(this.pathFor(key, variant));
+    }
+
+    // Screenshot the page, store it with a thumbnail and apply retention
+    async capture(page, key) {
+        if (!this.isValidKey(key)) {
+            throw new Error(`Invalid screenshot key: ${key}`);
+        }
+
+        const buffer = await page.screenshot({ fullPage: true, timeout: 10000 });
+        fs.writeFileSync(this.pathFor(key), buffer);
+
+        let thumbnailUrl = null;
+        try {
+            fs.writeFileSync(this.pathFor(key, 'thumbnail'), this.createThumbnail(buffer));
+            thumbnailUrl = this.urlFor(key, 'thumbnail');
+        } catch (error) {
+            console.log('Could not create screenshot thumbnail:', error.message);
+        }
+
+        this.enforceRetention();
+
+        return {
+            screenshotKey: key,
+            screenshotUrl: this.urlFor(key),
+            thumbnailUrl
+        };
+    }
+
+    // Box-filter downscale to thumbnailWidth, keeping the aspect ratio
+    createThumbnail(buffer) {
+        const source = PNG.sync.read(buffer);
+        const scale = Math.min(1, this.thumbnailWidth / source.width);
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+        const target = new PNG({ width, height });
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.floor(y / scale);
+            const y1 = Math.min(source.height, Math.max(y0 + 1, Math.floor((y + 1) / scale)));
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.floor(x / scale);
+                const x1 = Math.min(source.width, Math.max(x0 + 1, Math.floor((x + 1) / scale)));
+                const sums = [0, 0, 0, 0];
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const index = (sy * source.width + sx) * 4;
+                        for (let c = 0; c < 4; c++) sums[c] += source.data[index + c];
+                    }
+                }
+                const count = (y1 - y0) * (x1 - x0);
+                const targetIndex = (y * width + x) * 4;
+                for (let c = 0; c < 4; c++) target.data[targetIndex + c] = Math.round(sums[c] / count);
+            }
+        }
+
+        return PNG.sync.write(target);
+    }
+
+    remove(key) {
+        if (!this.isValidKey(key)) return false;
+        let removed = false;
+        for (const variant of ['full', 'thumbnail']) {
+            const file = this.pathFor(key, variant);
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+                removed = true;
+            }
+        }
+        if (removed) {
+            console.log(`🗑️ Removed screenshot for key: ${key}`);
+        }
+        return removed;
+    }
+
+    clear() {
+        for (const entry of this.listEntries()) {
+            this.remove(entry.key);
+        }
+    }
+
+    // One entry per key with combined size of both variants, newest first
+    listEntries() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const entries = new Map();
+        for (const file of fs.readdirSync(this.dir)) {
+            const match = file.match(/^([a-f0-9]{32})(\.thumb)?\.png$/);
+            if (!match) continue;
+            const stat = fs.statSync(path.join(this.dir, file));
+            const entry = entries.get(match[1]) || { key: match[1], bytes: 0, time: 0 };
+            entry.bytes += stat.size;
+            entry.time = Math.max(entry.time, stat.mtime.getTime());
+            entries.set(match[1], entry);
+        }
+
+        return Array.from(entries.values()).sort((a, b) => b.time - a.time);
+    }
+
+    // Delete screenshots over the count limit, older than the age limit, or
+    // beyond the total size limit (oldest first). Returns the removed keys.
+    enforceRetention() {
+        const removedKeys = [];
+        try {
+            const cutoff = Date.now() - this.maxAgeMs;
+            let totalBytes = 0;
+
+            this.listEntries().forEach((entry, index) => {
+                if (index >= this.maxCount || entry.time < cutoff || totalBytes + entry.bytes > this.maxBytes) {
+                    this.remove(entry.key);
+                    removedKeys.push(entry.key);
+                } else {
+                    totalBytes += entry.bytes;
+                }
+            });
+        } catch (error) {
+            console.log('Error during screenshot retention:', error.message);
+        }
+        return removedKeys;
+    }
+
+    getStats() {
+        const entries = this.listEntries();
+        return {
+            count: entries.length,
+            totalBytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+            maxCount: this.maxCount,
+            maxAgeDays: this.maxAgeMs / (24 * 60 * 60 * 1000),
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+module.exports = ScreenshotStore;
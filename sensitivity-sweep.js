@@ -0,0 +1,133 @@
+const { parseHeight, parseIncome, CRITERIA_LIMITS } = require('./criteria-validation');
+const { DELUSION_SCALE, expectedForProbability } = require('./result-metrics');
+const { interpolatePercent } = require('./interpolation');
+
+// Parameters a sensitivity sweep can vary. `field` is the validated criteria
+// field, `key` the normalized (cache) criteria field, and `parse` reads the
+// from/to/step query values with the same units the criteria accept.
+const SWEEP_PARAMETERS = {
+    minAge: { field: 'minAge', key: 'minAge', defaultStep: 1, parse: Number },
+    maxAge: { field: 'maxAge', key: 'maxAge', defaultStep: 1, parse: Number },
+    minHeight: { field: 'height', key: 'minHeight', defaultStep: 2.54, parse: parseHeight },
+    minIncome: { field: 'income', key: 'minIncome', defaultStep: 5000, parse: parseIncome }
+};
+
+const SWEEP_MAX_POINTS = parseInt(process.env.SWEEP_MAX_POINTS) || 50;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Parse and check { param, from, to, step }. Returns { spec } or { errors }
+// with field-level messages in the same shape as criteria validation.
+function parseSweepSpec(query) {
+    const errors = [];
+    const parameter = SWEEP_PARAMETERS[query.param];
+    if (!parameter) {
+        return { errors: [{ field: 'param', message: `param must be one of ${Object.keys(SWEEP_PARAMETERS).join(', ')}`, value: query.param }] };
+    }
+
+    const limits = CRITERIA_LIMITS[parameter.field];
+    const read = (name, fallback) => {
+        const raw = query[name];
+        if (raw === undefined || raw === '') {
+            if (fallback === undefined) errors.push({ field: name, message: `${name} is required`, value: raw });
+            return fallback;
+        }
+        const value = parameter.parse(raw);
+        if (!Number.isFinite(value)) {
+            errors.push({ field: name, message: `${name} must be a ${query.param} value`, value: raw });
+        }
+        return value;
+    };
+
+    const from = read('from');
+    const to = read('to');
+    const step = read('step', parameter.defaultStep);
+    if (errors.length > 0) return { errors };
+
+    if (step <= 0) errors.push({ field: 'step', message: 'step must be greater than 0', value: query.step });
+    if (from > to) errors.push({ field: 'from', message: `from (${from}) must not be greater than to (${to})`, value: query.from });
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value < limits.min || value > limits.max) {
+            const range = limits.max === Infinity ? `at least ${limits.min}` : `between ${limits.min} and ${limits.max}`;
+            errors.push({ field: name, message: `${name} must be ${range}`, value: query[name] });
+        }
+    }
+    if (errors.length > 0) return { errors };
+
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    if (count > SWEEP_MAX_POINTS) {
+        return { errors: [{ field: 'step', message: `A sweep may have at most ${SWEEP_MAX_POINTS} points (this one has ${count})`, value: query.step }] };
+    }
+
+    return { spec: { param: query.param, ...parameter, from, to, step, count } };
+}
+
+// The swept values from..to inclusive; whole numbers for age and income
+function sweepValues(spec) {
+    const values = [];
+    for (let i = 0; i < spec.count; i++) {
+        const value = spec.from + i * spec.step;
+        values.push(CRITERIA_LIMITS[spec.field].integer ? Math.round(value) : round2(value));
+    }
+    if (values[values.length - 1] < spec.to) values.push(spec.to);
+    return [...new Set(values)];
+}
+
+// Estimate the probability at `value` from known { value, probabilityPercent }
+// points on the same curve. Between two known points the estimate is
+// interpolated on a log scale, since probabilities fall off roughly
+// exponentially as a preference tightens; outside the known range the
+// nearest known point is used. Returns null when nothing is known.
+function estimateProbability(known, value) {
+    const usable = known
+        .filter(point => point.probabilityPercent !== null && point.probabilityPercent !== undefined)
+        .sort((a, b) => a.value - b.value);
+    if (usable.length === 0) return null;
+
+    const below = usable.filter(point => point.value <= value).pop();
+    const above = usable.find(point => point.value >= value);
+
+    if (!below || !above || below === above) {
+        const nearest = below || above;
+        return { probabilityPercent: nearest.probabilityPercent, method: 'nearest', sources: [nearest] };
+    }
+
+    const t = (value - below.value) / (above.value - below.value);
+    const probabilityPercent = interpolatePercent(below.probabilityPercent, above.probabilityPercent, t);
+    return { probabilityPercent, method: 'interpolated', sources: [below, above] };
+}
+
+// Up to `count` items spread evenly from first to last, so scraped points
+// split the range into similar gaps for interpolation
+function pickSpread(items, count) {
+    if (count <= 0) return [];
+    if (count >= items.length) return items.slice();
+    if (count === 1) return [items[Math.floor((items.length - 1) / 2)]];
+    const picked = new Set();
+    for (let i = 0; i < count; i++) {
+        picked.add(items[Math.round(i * (items.length - 1) / (count - 1))]);
+    }
+    return [...picked];
+}
+
+// Delusion label and score the results page shows for a probability
+function describeProbability(percent) {
+    const band = expectedForProbability(percent);
+    const scoreMax = Math.max(...DELUSION_SCALE.map(entry => entry.score));
+    return {
+        probability: `${percent < 0.1 ? round2(percent) : Math.round(percent * 10) / 10}%`,
+        delusionScore: band.label,
+        delusionScoreNumber: `${band.score}/${scoreMax}`,
+        label: band.code
+    };
+}
+
+module.exports = {
+    SWEEP_PARAMETERS,
+    SWEEP_MAX_POINTS,
+    parseSweepSpec,
+    sweepValues,
+    estimateProbability,
+    pickSpread,
+    describeProbability
+};
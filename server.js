@@ -1,14 +1,35 @@
 
-const { chromium } = require('playwright');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('./browser-pool');
+const JobQueue = require('./job-queue');
+const ScreenshotStore = require('./screenshot-store');
+const ForensicsRecorder = require('./forensics');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { UpstreamRateLimiter } = require('./upstream-limiter');
+const { parseCriteria, parseHeight, parseIncome, CRITERIA_LIMITS } = require('./criteria-validation');
+const CRITERIA_STEPS = require('./public/criteria-steps');
+const { ApiError, ERROR_CODES, toApiError, correlationMiddleware, errorBody, sendError } = require('./api-errors');
+const { waitForResults, getWaitStats, DEFAULT_WAIT_OPTIONS } = require('./page-readiness');
+const { extractResults, buildDriftReport } = require('./extractor');
+const { parseResults } = require('./result-parser');
+const { sanitizeResults, SANITIZER_VERSION } = require('./html-sanitizer');
+const { buildResultsUrl, UPSTREAM_BASE_URL } = require('./upstream-config');
+const { getTypedValues, validateResults, summarizeConsistency, DELUSION_LABEL_CODES } = require('./result-metrics');
+const { parseSweepSpec, sweepValues, estimateProbability, pickSpread, describeProbability } = require('./sensitivity-sweep');
+const { resolveTarget, relaxationChanges, pruneDominated } = require('./relaxation-recommender');
+const { EXPLAIN_FILTERS, filterEffect } = require('./criteria-explainer');
+const { CONTINUOUS_FIELDS, interpolateProbability, gridEntries } = require('./interpolation');
+const { ProbabilityModel, DEFAULT_MODEL_FILE } = require('./probability-model');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
+app.use(correlationMiddleware);
 // Add these dependencies to your package.json
 // npm install swagger-jsdoc swagger-ui-express
 
@@ -69,7 +90,7 @@ const swaggerOptions = {
               minimum: 0,
               maximum: 250,
               default: 0,
-              description: 'Minimum height in CM (0 for any height)'
+              description: 'Minimum height: CM as a number, or a string in cm, inches or feet/inches ("180 cm", "70 in", "5 ft 10 in", "6\'0\""); 0 for any height. Echoed back in CM'
             },
             excludeObese: {
               type: 'boolean',
@@ -80,7 +101,29 @@ const swaggerOptions = {
               type: 'integer',
               minimum: 0,
               default: 0,
-              description: 'Minimum income requirement (0 for any income)'
+              description: 'Minimum income requirement: a number or a string such as "75,000", "$100k" or "1.2M" (0 for any income). Echoed back as a number'
+            },
+            lenient: {
+              type: 'boolean',
+              default: false,
+              description: 'Clamp out-of-range values and swap reversed age ranges instead of rejecting the request with VALIDATION_ERROR'
+            },
+            canonical: {
+              type: 'boolean',
+              default: false,
+              description: 'Snap height and income to the nearest upstream step before the cache lookup'
+            },
+            mode: {
+              type: 'string',
+              enum: ['exact', 'approximate', 'auto'],
+              default: 'exact',
+              description: 'How uncached criteria are answered: scrape (exact), interpolate from cached neighbours (approximate), or interpolate when the error bound is within APPROXIMATE_MAX_RELATIVE_ERROR and scrape otherwise (auto)'
+            },
+            source: {
+              type: 'string',
+              enum: ['upstream', 'model'],
+              default: 'upstream',
+              description: 'Answer cache misses from the upstream site, or instantly from the offline model fitted from cached results (model; 503 MODEL_UNAVAILABLE when none is loaded)'
             }
           },
           example: {
@@ -111,29 +154,156 @@ const swaggerOptions = {
               description: 'Delusion score as fraction',
               example: '8/10'
             },
+            typed: {
+              $ref: '#/components/schemas/TypedResults'
+            },
+            warnings: {
+              type: 'array',
+              description: 'Disagreements between the scraped label, score and probability',
+              items: {
+                type: 'object',
+                properties: {
+                  code: {
+                    type: 'string',
+                    enum: ['UNPARSEABLE_PROBABILITY', 'UNPARSEABLE_SCORE', 'UNKNOWN_LABEL', 'SCORE_OUT_OF_RANGE', 'SCORE_LABEL_MISMATCH', 'PROBABILITY_LABEL_MISMATCH', 'PROBABILITY_SCORE_MISMATCH']
+                  },
+                  message: {
+                    type: 'string'
+                  }
+                }
+              }
+            },
+            structured: {
+              $ref: '#/components/schemas/StructuredResults'
+            },
             populationData: {
               type: 'string',
-              description: 'HTML content for population visualization'
+              description: 'HTML content for population visualization (only with includeHtml=true)'
             },
             paragraphText: {
               type: 'string',
-              description: 'Additional paragraph text from results'
+              description: 'Additional paragraph text from results (only with includeHtml=true)'
             },
             scoreFlexHTML: {
               type: 'string',
-              description: 'HTML content for score visualization'
+              description: 'HTML content for score visualization (only with includeHtml=true)'
             },
             boxParagraphList: {
               type: 'array',
               items: {
                 type: 'string'
               },
-              description: 'List of criteria details'
+              description: 'List of criteria details as HTML (only with includeHtml=true)'
             },
             screenshotUrl: {
               type: 'string',
-              description: 'URL to screenshot of scraped page',
-              example: '/screenshot_1234567890.png'
+              nullable: true,
+              description: 'URL to screenshot of scraped page (null when skipped or expired)',
+              example: '/api/screenshots/5d41402abc4b2a76b9719d911017c592'
+            },
+            thumbnailUrl: {
+              type: 'string',
+              nullable: true,
+              description: 'URL to a small thumbnail of the screenshot',
+              example: '/api/screenshots/5d41402abc4b2a76b9719d911017c592/thumbnail'
+            }
+          }
+        },
+        TypedResults: {
+          type: 'object',
+          description: 'Numeric and enum versions of the scraped strings',
+          properties: {
+            probabilityPercent: {
+              type: 'number',
+              example: 2.1
+            },
+            probabilityFraction: {
+              type: 'number',
+              example: 0.021
+            },
+            score: {
+              type: 'integer',
+              example: 4
+            },
+            scoreMax: {
+              type: 'integer',
+              example: 5
+            },
+            label: {
+              type: 'string',
+              enum: DELUSION_LABEL_CODES,
+              example: 'VERY_DELUSIONAL'
+            }
+          }
+        },
+        StructuredResults: {
+          type: 'object',
+          description: 'Parsed form of the upstream HTML fragments',
+          properties: {
+            population: {
+              type: 'object',
+              properties: {
+                total: {
+                  type: 'integer',
+                  description: 'Number of icons in the population visualizer'
+                },
+                highlighted: {
+                  type: 'integer',
+                  description: 'Icons highlighted as meeting the criteria'
+                },
+                ratio: {
+                  type: 'number',
+                  description: 'highlighted / total'
+                },
+                count: {
+                  type: 'number',
+                  description: 'First number of an "X in Y" phrase in the visualizer text'
+                },
+                outOf: {
+                  type: 'number',
+                  description: 'Second number of an "X in Y" phrase in the visualizer text'
+                },
+                percentage: {
+                  type: 'number'
+                },
+                text: {
+                  type: 'string'
+                }
+              }
+            },
+            scoreSegments: {
+              type: 'object',
+              properties: {
+                segments: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      index: { type: 'integer' },
+                      on: { type: 'boolean' },
+                      src: { type: 'string' },
+                      alt: { type: 'string' }
+                    }
+                  }
+                },
+                filled: {
+                  type: 'integer'
+                },
+                total: {
+                  type: 'integer'
+                }
+              }
+            },
+            criteriaList: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Criteria list as plain text items'
+            },
+            paragraph: {
+              type: 'string',
+              description: 'Paragraph text without markup'
             }
           }
         },
@@ -148,13 +318,66 @@ const swaggerOptions = {
               type: 'boolean',
               description: 'Whether data was returned from cache'
             },
+            coalesced: {
+              type: 'boolean',
+              description: 'Whether this request joined an identical scrape already in progress'
+            },
             cacheKey: {
               type: 'string',
               description: 'Unique cache key for this request'
             },
+            degraded: {
+              type: 'boolean',
+              description: 'Present when the upstream is unavailable and the closest cached entry was served instead'
+            },
+            degradedReason: {
+              type: 'string',
+              description: 'Why a fresh result could not be scraped'
+            },
+            degradedSource: {
+              type: 'object',
+              description: 'Cached entry the degraded result came from (cacheKey, criteria, cachedAt, distance, exact)'
+            },
+            approximate: {
+              type: 'boolean',
+              description: 'Present when the result was interpolated from cached entries and precache grid results (mode=approximate or auto); fromCache is false'
+            },
+            approximation: {
+              type: 'object',
+              description: 'Interpolation details: method, probabilityPercent, errorBound (low, high, percentagePoints, relative; assumes probability is monotonic in age, height and income) and sources (cacheKey, criteria, probabilityPercent)'
+            },
+            modelEstimate: {
+              type: 'boolean',
+              description: 'Present when the result was estimated by the offline model (source=model, or the upstream is down)'
+            },
+            model: {
+              type: 'object',
+              description: 'Model that produced the estimate: version, fittedAt, probabilityPercent and heldOut accuracy (see GET /api/model)'
+            },
             criteria: {
               $ref: '#/components/schemas/Criteria'
             },
+            canonical: {
+              type: 'boolean',
+              description: 'Present when the criteria were snapped to upstream steps'
+            },
+            requestedCriteria: {
+              $ref: '#/components/schemas/Criteria'
+            },
+            snappedFields: {
+              type: 'array',
+              description: 'Canonical mode only: criteria fields whose value was snapped',
+              items: {
+                type: 'string'
+              }
+            },
+            criteriaAdjustments: {
+              type: 'array',
+              description: 'Lenient mode only: values that were clamped, swapped or defaulted ({ field, message, value, usedValue })',
+              items: {
+                type: 'object'
+              }
+            },
             results: {
               $ref: '#/components/schemas/Results'
             },
@@ -185,6 +408,107 @@ const swaggerOptions = {
               type: 'string',
               format: 'date-time',
               description: 'Timestamp of newest cache entry'
+            },
+            consistency: {
+              type: 'object',
+              description: 'Cached entries whose label, score and probability disagree',
+              properties: {
+                checked: { type: 'integer' },
+                inconsistent: { type: 'integer' },
+                byCode: { type: 'object' }
+              }
+            }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean'
+            },
+            jobId: {
+              type: 'string',
+              description: 'Job identifier to poll'
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'succeeded', 'failed']
+            },
+            statusUrl: {
+              type: 'string',
+              example: '/api/jobs/3f2c8a1e-6b0d-4c59-9e43-1d2f7a8b9c10'
+            },
+            result: {
+              $ref: '#/components/schemas/ApiResponse'
+            },
+            error: {
+              type: 'string',
+              description: 'Failure reason once the job has failed'
+            }
+          }
+        },
+        BrowserPoolStats: {
+          type: 'object',
+          properties: {
+            browserConnected: {
+              type: 'boolean',
+              description: 'Whether the pooled browser is currently running'
+            },
+            maxContexts: {
+              type: 'integer',
+              description: 'Number of reusable browser contexts kept warm'
+            },
+            maxConcurrent: {
+              type: 'integer',
+              description: 'Maximum number of scrapes running at once'
+            },
+            activeScrapes: {
+              type: 'integer',
+              description: 'Scrapes currently holding a page'
+            },
+            queuedScrapes: {
+              type: 'integer',
+              description: 'Scrapes waiting for a free slot'
+            },
+            launches: {
+              type: 'integer',
+              description: 'Browser launches since startup'
+            },
+            recycles: {
+              type: 'integer',
+              description: 'Browsers recycled by health checks'
+            },
+            crashes: {
+              type: 'integer',
+              description: 'Browsers that disconnected unexpectedly'
+            }
+          }
+        },
+        CircuitBreakerState: {
+          type: 'object',
+          properties: {
+            state: {
+              type: 'string',
+              enum: ['closed', 'open', 'half-open'],
+              description: 'open: scrapes fail fast; half-open: one probe scrape is let through'
+            },
+            consecutiveFailures: {
+              type: 'integer'
+            },
+            failureThreshold: {
+              type: 'integer',
+              description: 'Consecutive failures that open the circuit'
+            },
+            nextProbeAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the open circuit lets a probe through'
+            },
+            retryAfterMs: {
+              type: 'integer'
+            },
+            lastFailure: {
+              type: 'object'
             }
           }
         },
@@ -199,9 +523,30 @@ const swaggerOptions = {
               type: 'string',
               description: 'Error message'
             },
+            code: {
+              type: 'string',
+              enum: Object.keys(ERROR_CODES),
+              description: 'Stable error code; branch on this, not on the message'
+            },
+            retryable: {
+              type: 'boolean',
+              description: 'Whether the same request may succeed if retried later'
+            },
+            correlationId: {
+              type: 'string',
+              description: 'Request ID logged with the error; also returned in the X-Correlation-ID header'
+            },
             details: {
+              type: 'object',
+              description: 'Additional error details, e.g. field-level validation messages'
+            },
+            retryAfterMs: {
+              type: 'integer',
+              description: 'Suggested wait before retrying (also sent as Retry-After)'
+            },
+            forensicsId: {
               type: 'string',
-              description: 'Additional error details'
+              description: 'Failure forensics bundle recorded for this scrape'
             },
             timestamp: {
               type: 'string',
@@ -272,10 +617,9 @@ app.get('/swagger.json', (req, res) => {
  *       - in: query
  *         name: minHeight
  *         schema:
- *           type: number
- *           minimum: 0
- *           default: 0
- *         description: Minimum height in CM (0 for any)
+ *           type: string
+ *           default: "0"
+ *         description: Minimum height in CM (0 for any, max 250), or with units such as "70 in", "5 ft 10 in" or 6'0"
  *       - in: query
  *         name: excludeObese
  *         schema:
@@ -285,10 +629,47 @@ app.get('/swagger.json', (req, res) => {
  *       - in: query
  *         name: minIncome
  *         schema:
- *           type: integer
- *           minimum: 0
- *           default: 0
- *         description: Minimum income (0 for any)
+ *           type: string
+ *           default: "0"
+ *         description: Minimum income (0 for any), also "75,000", "$100k" or "1.2M"
+ *       - in: query
+ *         name: includeHtml
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return the raw upstream HTML fragments
+ *       - in: query
+ *         name: screenshot
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Take a screenshot when the result has to be scraped
+ *       - in: query
+ *         name: lenient
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Clamp out-of-range values and swap reversed age ranges instead of rejecting them (reported in criteriaAdjustments)
+ *       - in: query
+ *         name: canonical
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Snap height and income to the nearest step the upstream distinguishes (public/criteria-steps.js) so near-duplicate requests share a cache entry
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [exact, approximate, auto]
+ *           default: exact
+ *         description: exact scrapes cache misses; approximate interpolates from cached entries and precache grid results (cache/results.json) that differ only in age, height and income (404 APPROXIMATION_UNAVAILABLE when none surround the criteria); auto interpolates when the error bound is tight enough and scrapes otherwise
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [upstream, model]
+ *           default: upstream
+ *         description: model answers cache misses instantly from the offline model fitted by `npm run fit-model` (503 MODEL_UNAVAILABLE when none is loaded). The model also answers, flagged degraded, while the upstream is down
  *     responses:
  *       200:
  *         description: Successful response
@@ -296,6 +677,24 @@ app.get('/swagger.json', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       502:
+ *         description: UPSTREAM_NAVIGATION_FAILED or NO_RESULTS_EXTRACTED
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: UPSTREAM_UNAVAILABLE (circuit open, no cached entry close enough), UPSTREAM_RATE_LIMITED or BROWSER_LAUNCH_FAILED
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       504:
+ *         description: UPSTREAM_TIMEOUT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -319,6 +718,24 @@ app.get('/swagger.json', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       502:
+ *         description: UPSTREAM_NAVIGATION_FAILED or NO_RESULTS_EXTRACTED
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: UPSTREAM_UNAVAILABLE (circuit open, no cached entry close enough), UPSTREAM_RATE_LIMITED or BROWSER_LAUNCH_FAILED
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       504:
+ *         description: UPSTREAM_TIMEOUT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request
  *         content:
@@ -401,6 +818,66 @@ app.get('/swagger.json', (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/cache/{key}:
+ *   delete:
+ *     summary: Invalidate a single cache entry
+ *     description: Deletes the cache entry and its stored screenshot
+ *     tags: [Cache]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       404:
+ *         description: Unknown cache key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/screenshots/{key}:
+ *   get:
+ *     summary: Screenshot of the scraped page for a cache entry
+ *     tags: [Cache]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PNG image
+ *         content:
+ *           image/png: {}
+ *       404:
+ *         description: No screenshot stored for this key
+ *
+ * /api/screenshots/{key}/thumbnail:
+ *   get:
+ *     summary: Thumbnail of the screenshot for a cache entry
+ *     tags: [Cache]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PNG image
+ *         content:
+ *           image/png: {}
+ *       404:
+ *         description: No thumbnail stored for this key
+ */
+
 /**
  * @swagger
  * /api/cache/stats:
@@ -421,6 +898,64 @@ app.get('/swagger.json', (req, res) => {
  *                   example: true
  *                 stats:
  *                   $ref: '#/components/schemas/CacheStats'
+ *                 browserPool:
+ *                   $ref: '#/components/schemas/BrowserPoolStats'
+ *                 pageWaits:
+ *                   type: object
+ *                   description: How long readiness waits took (count, averageMs, maxMs, timeouts)
+ *                 forensics:
+ *                   type: object
+ *                   description: Stored failure forensics bundles and retention limits
+ *                 upstreamLimiter:
+ *                   type: object
+ *                   description: Shared upstream rate limit, current effective rate, requests in the last minute per process and any active backoff
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/extractor/drift:
+ *   get:
+ *     summary: Extractor drift report
+ *     description: Lists cache entries produced by an older extractor definition version and fields that only matched through fallback selectors
+ *     tags: [Cache]
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     currentVersion:
+ *                       type: integer
+ *                     byVersion:
+ *                       type: object
+ *                     outdatedEntries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     fallbackEntries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     driftedFields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     driftDetected:
+ *                       type: boolean
  *       500:
  *         description: Server error
  *         content:
@@ -529,969 +1064,2777 @@ app.get('/swagger.json', (req, res) => {
 
 /**
  * @swagger
- * /health:
+ * /api/results/stream:
  *   get:
- *     summary: Health check endpoint
- *     description: Check API health status and license information
- *     tags: [System]
+ *     summary: Stream scrape progress as Server-Sent Events
+ *     description: |
+ *       Accepts the same query parameters as GET /api/results. Emits `progress` events
+ *       (stage is one of cache-lookup, cache-hit, waiting-for-browser, browser-acquired,
+ *       navigation-attempt, navigation-retry, waiting-for-content, extracting, screenshot, cached),
+ *       then a single `result` or `error` event before the stream closes.
+ *     tags: [Results]
  *     responses:
  *       200:
- *         description: Successful response
+ *         description: Event stream
  *         content:
- *           application/json:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/results/batch:
+ *   post:
+ *     summary: Resolve many criteria sets in one call
+ *     description: |
+ *       Cache hits are answered immediately; misses are scraped at most BATCH_CONCURRENCY at a time
+ *       (default: the browser pool size). Items come back in input order, each with its own success
+ *       flag, so one invalid or failed item does not fail the batch. Send `?stream=ndjson` or
+ *       `Accept: application/x-ndjson` to receive one JSON line per item as it finishes
+ *       (`type: item`, in completion order) followed by a `type: summary` line.
+ *     tags: [Results]
+ *     parameters:
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: string
+ *           enum: [ndjson, true]
+ *         description: Stream NDJSON lines instead of a single JSON body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Criteria'
+ *               - type: object
+ *                 properties:
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Criteria'
+ *                   lenient:
+ *                     type: boolean
+ *                   canonical:
+ *                     type: boolean
+ *                   includeHtml:
+ *                     type: boolean
+ *                   screenshot:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Per-item results in input order and a summary
+ *         content:
+ *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: "OK"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                 licenseExpiry:
- *                   type: string
- *                   format: date
- *                 daysRemaining:
- *                   type: integer
- *                 expired:
+ *                 success:
  *                   type: boolean
- *                 cache:
+ *                   example: true
+ *                 summary:
  *                   type: object
  *                   properties:
- *                     totalEntries:
+ *                     total:
  *                       type: integer
- *                     totalAccesses:
+ *                     hits:
+ *                       type: integer
+ *                     misses:
+ *                       type: integer
+ *                       description: Items that were not cached and were scraped (or served degraded)
+ *                     failures:
  *                       type: integer
+ *                     approximate:
+ *                       type: integer
+ *                       description: Items interpolated from cached entries (mode=approximate or auto)
+ *                     degraded:
+ *                       type: integer
+ *                     durationMs:
+ *                       type: integer
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     description: Same fields as GET /api/results plus index and status (hit, miss, approximate or failed); failed items carry error, code, retryable and details instead of results
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Body is not a non-empty array, or exceeds BATCH_MAX_ITEMS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/sweep:
+ *   get:
+ *     summary: Probability curve for one criterion over a range
+ *     description: |
+ *       Takes the same criteria query parameters as GET /api/results as the fixed base, and varies
+ *       `param` from `from` to `to` in steps of `step`. Each point is `cached` (read from the cache),
+ *       `fresh` (scraped for this request), `estimated` (interpolated on a log scale between known
+ *       points on the same curve, or the nearest known point outside them) or `unavailable`.
+ *     tags: [Results]
+ *     parameters:
+ *       - in: query
+ *         name: param
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [minAge, maxAge, minHeight, minIncome]
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: First value, in the same units the criterion accepts (e.g. 160, "5 ft 3 in", "$50k")
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: step
+ *         schema:
+ *           type: string
+ *         description: Defaults to 1 year, 1 inch or $5k; at most SWEEP_MAX_POINTS (50) points
+ *       - in: query
+ *         name: scrape
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: How many uncached points may be scraped (SWEEP_MAX_SCRAPES); 0 answers from the cache and estimates only
+ *     responses:
+ *       200:
+ *         description: Points in range order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 param:
+ *                   type: string
+ *                 range:
+ *                   type: object
+ *                 criteria:
+ *                   $ref: '#/components/schemas/Criteria'
+ *                 summary:
+ *                   type: object
+ *                   description: Number of cached, fresh, estimated and unavailable points
+ *                 points:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       value:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *                         enum: [cached, fresh, estimated, unavailable]
+ *                       probability:
+ *                         type: string
+ *                       probabilityPercent:
+ *                         type: number
+ *                       delusionScore:
+ *                         type: string
+ *                       delusionScoreNumber:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       cacheKey:
+ *                         type: string
+ *                       estimate:
+ *                         type: object
+ *                         description: Estimated points only - method (interpolated or nearest) and the source points
+ *                       error:
+ *                         type: object
+ *                         description: Why a point that was scraped is estimated instead (code, message)
+ *       400:
+ *         description: Invalid criteria or sweep range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/recommendations:
+ *   get:
+ *     summary: Cheapest criteria changes that reach a target probability or label
+ *     description: |
+ *       Takes the same criteria query parameters as GET /api/results. Candidates are cached entries
+ *       that only relax the criteria (lower minHeight, minIncome or minAge, higher maxAge, any race,
+ *       dropping excludeMarried or excludeObese), plus single numeric relaxations estimated along
+ *       cached curves. Suggestions that change a superset of fields of a closer suggestion are
+ *       dropped; the rest are ranked by distance from the original criteria. Nothing is scraped.
+ *     tags: [Results]
+ *     parameters:
+ *       - in: query
+ *         name: targetProbability
+ *         schema:
+ *           type: string
+ *         description: Probability to reach, e.g. 5 or "5%" (required unless targetLabel is given)
+ *       - in: query
+ *         name: targetLabel
+ *         schema:
+ *           type: string
+ *           enum: [REASONABLE, PICKY, DELUSIONAL, VERY_DELUSIONAL]
+ *         description: Delusion label to reach (code or label text); means the lowest probability of that band
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Ranked suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 criteria:
+ *                   $ref: '#/components/schemas/Criteria'
+ *                 target:
+ *                   type: object
+ *                   description: probabilityPercent and label (null for a probability target)
+ *                 current:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Cached result for the criteria themselves, when there is one
+ *                 alreadyMeetsTarget:
+ *                   type: boolean
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       changes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           description: field, from, to (normalized criteria fields)
+ *                       distance:
+ *                         type: number
+ *                       source:
+ *                         type: string
+ *                         enum: [cached, estimated]
+ *                       probability:
+ *                         type: string
+ *                       probabilityPercent:
+ *                         type: number
+ *                       delusionScore:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       cacheKey:
+ *                         type: string
+ *                       estimate:
+ *                         type: object
+ *       400:
+ *         description: Invalid criteria or target
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/explain:
+ *   get:
+ *     summary: Per-filter restrictiveness breakdown for a result
+ *     description: |
+ *       Takes the same criteria query parameters as GET /api/results and evaluates them with each active
+ *       filter relaxed in turn (race any, minHeight 0, minIncome 0, excludeMarried and excludeObese false,
+ *       age range widened to 18-85). For each filter, marginalEffect is the probability gained in
+ *       percentage points when it is relaxed, removesShare the fraction of otherwise-matching men it removes
+ *       and multiplier how many times more likely a match is without it. Filters are sorted most restrictive first.
+ *     tags: [Results]
+ *     parameters:
+ *       - in: query
+ *         name: scrape
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Scrape criteria that are not cached; with false, uncached variants are reported as unavailable
+ *     responses:
+ *       200:
+ *         description: Breakdown per filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 criteria:
+ *                   $ref: '#/components/schemas/Criteria'
+ *                 base:
+ *                   type: object
+ *                   description: Result for the criteria as given (status cached, fresh or unavailable)
+ *                 mostRestrictive:
+ *                   type: string
+ *                   nullable: true
+ *                 filters:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       filter:
+ *                         type: string
+ *                         enum: [race, minHeight, minIncome, excludeMarried, excludeObese, ageRange]
+ *                       description:
+ *                         type: string
+ *                       active:
+ *                         type: boolean
+ *                       relaxedTo:
+ *                         type: object
+ *                       without:
+ *                         type: object
+ *                         description: Result with this filter relaxed
+ *                       marginalEffect:
+ *                         type: number
+ *                       removesShare:
+ *                         type: number
+ *                       multiplier:
+ *                         type: number
+ *       400:
+ *         description: Invalid criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/compare:
+ *   post:
+ *     summary: Compare 2-N criteria sets side by side
+ *     description: |
+ *       Resolves every set through the same cache and scraper as POST /api/results (up to COMPARE_MAX_SETS,
+ *       default 5) and compares each pair: probability delta in percentage points, ratio, label change and
+ *       the normalized fields that differ. An optional `name` on a set is echoed back.
+ *     tags: [Results]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Criteria'
+ *               - type: object
+ *                 properties:
+ *                   sets:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Criteria'
+ *     responses:
+ *       200:
+ *         description: Sets and pairwise comparisons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     description: index, name, criteria, success, fromCache, cacheKey, probability, probabilityPercent, delusionScore, delusionScoreNumber, label. A set that could not be resolved has success false, error, code and retryable, and null probability fields
+ *                 comparisons:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: integer
+ *                       to:
+ *                         type: integer
+ *                       probabilityDelta:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Null when either set failed
+ *                       ratio:
+ *                         type: number
+ *                         nullable: true
+ *                       labelChange:
+ *                         type: object
+ *                       differingFields:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                 differingFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Wrong number of sets or invalid criteria (details.fields names the set, e.g. sets[1].minAge)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/model:
+ *   get:
+ *     summary: Offline probability model version and fit metrics
+ *     description: |
+ *       The model fitted from cache/results.json and scraped_data.json by `npm run fit-model`
+ *       (ridge regression of logit(probability) on all seven criteria), as used for source=model
+ *       and while the upstream is down. Held-out metrics come from results left out of the fit.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Model summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 version:
+ *                   type: string
+ *                 fittedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 method:
+ *                   type: string
+ *                 features:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 samples:
+ *                   type: object
+ *                   description: total, train, heldOut and per-file sources counts
+ *                 metrics:
+ *                   type: object
+ *                   description: heldOut accuracy (samples, meanAbsoluteErrorPoints, meanAbsoluteErrorLog10, labelAccuracy), null when too few results to hold any out
+ *       503:
+ *         description: No model is loaded (MODEL_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
-console.log('Swagger documentation available at http://localhost:3000/api-docs');
-console.log('Swagger JSON spec available at http://localhost:3000/swagger.json');
-// Cache Manager Class
-class CacheManager {
-    constructor() {
-        this.cacheDir = path.join(__dirname, 'cache');
-        this.cacheFile = path.join(this.cacheDir, 'scraped_data.json');
-        this.cache = new Map();
-        this.initializeCache();
+/**
+ * @swagger
+ * /api/jobs:
+ *   post:
+ *     summary: Submit an asynchronous scrape job
+ *     description: Returns immediately. Cache hits are answered inline with status succeeded; misses are queued and can be polled via GET /api/jobs/{id}
+ *     tags: [Jobs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Criteria'
+ *     responses:
+ *       200:
+ *         description: Cache hit, result returned inline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       202:
+ *         description: Job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get the status of a scrape job
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Unknown job ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/admin/forensics:
+ *   get:
+ *     summary: List failure forensics bundles
+ *     description: Every failed scrape leaves a bundle with a Playwright trace, the page HTML, console output, the final URL and navigation timings. Bundles are capped by FORENSICS_MAX_BUNDLES, FORENSICS_MAX_AGE_DAYS and FORENSICS_MAX_TOTAL_MB; traces over FORENSICS_MAX_TRACE_MB are dropped (meta.json traceOmitted). Requires the x-admin-token header; returns 404 until ADMIN_TOKEN is set.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Bundles, newest first
+ *       401:
+ *         description: Missing or wrong admin token
+ *
+ * /api/admin/forensics/{id}:
+ *   get:
+ *     summary: Forensics bundle metadata and file list
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bundle metadata
+ *       404:
+ *         description: Unknown bundle
+ *   delete:
+ *     summary: Delete a forensics bundle
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bundle deleted
+ *       404:
+ *         description: Unknown bundle
+ *
+ * /api/admin/forensics/{id}/{file}:
+ *   get:
+ *     summary: Download a file from a forensics bundle
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [trace.zip, page.html, console.json, meta.json]
+ *     responses:
+ *       200:
+ *         description: File download
+ *       404:
+ *         description: Unknown bundle or file
+ */
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Check API health status and license information
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "OK"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 licenseExpiry:
+ *                   type: string
+ *                   format: date
+ *                 daysRemaining:
+ *                   type: integer
+ *                 expired:
+ *                   type: boolean
+ *                 cache:
+ *                   type: object
+ *                   properties:
+ *                     totalEntries:
+ *                       type: integer
+ *                     totalAccesses:
+ *                       type: integer
+ *                 browserPool:
+ *                   $ref: '#/components/schemas/BrowserPoolStats'
+ *                 circuitBreaker:
+ *                   $ref: '#/components/schemas/CircuitBreakerState'
+ *                 model:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Version of the loaded offline model (see GET /api/model)
+ */
+
+console.log('Swagger documentation available at http://localhost:3000/api-docs');
+console.log('Swagger JSON spec available at http://localhost:3000/swagger.json');
+// Cache Manager Class
+class CacheManager {
+    constructor(options = {}) {
+        this.screenshotStore = options.screenshotStore || null;
+        this.cacheDir = path.join(__dirname, 'cache');
+        this.cacheFile = path.join(this.cacheDir, 'scraped_data.json');
+        // The precache runner's grid (cache-system.js); read-only here, used
+        // as extra neighbours for interpolation
+        this.gridFile = path.join(this.cacheDir, 'results.json');
+        this.gridEntries = new Map();
+        this.gridMtime = null;
+        this.cache = new Map();
+        this.initializeCache();
+    }
+
+    initializeCache() {
+        try {
+            // Create cache directory if it doesn't exist
+            if (!fs.existsSync(this.cacheDir)) {
+                fs.mkdirSync(this.cacheDir, { recursive: true });
+                console.log('Created cache directory');
+            }
+
+            // Load existing cache data
+            if (fs.existsSync(this.cacheFile)) {
+                const cacheData = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+                this.cache = new Map(Object.entries(cacheData));
+                console.log(`Loaded ${this.cache.size} cached entries`);
+
+                // Entries stored before the current sanitizer never reach clients unsanitized
+                let resanitized = 0;
+                for (const entry of this.cache.values()) {
+                    if (entry.data && entry.data.sanitizerVersion !== SANITIZER_VERSION) {
+                        sanitizeResults(entry.data);
+                        resanitized++;
+                    }
+                }
+                if (resanitized > 0) {
+                    console.log(`🧼 Re-sanitized ${resanitized} cached entries`);
+                    try {
+                        this.saveToFile();
+                    } catch (error) {
+                        // The re-sanitized entries are kept in memory; the next save persists them
+                        console.error('⚠️ Re-sanitized cache could not be persisted:', error.message);
+                    }
+                }
+            } else {
+                console.log('No existing cache file found, starting fresh');
+            }
+        } catch (error) {
+            console.error('Error initializing cache:', error.message);
+            this.cache = new Map();
+        }
+    }
+
+    // Generate unique key for criteria
+    generateKey(criteria) {
+        // Normalize criteria to ensure consistent keys - FIXED LOGIC
+        const normalized = this.getNormalizedCriteria(criteria);
+        const hash = this.hashNormalized(normalized);
+        
+        console.log('Generated cache key:', hash, 'for criteria:', normalized);
+        return hash;
+    }
+
+    hashNormalized(normalized) {
+        // Sort keys to ensure consistent hash generation
+        const sortedNormalized = {};
+        Object.keys(normalized).sort().forEach(key => {
+            sortedNormalized[key] = normalized[key];
+        });
+
+        // Create hash of normalized criteria
+        return crypto.createHash('md5')
+            .update(JSON.stringify(sortedNormalized))
+            .digest('hex');
+    }
+
+    normalizeRace(race) {
+        const raceMapping = {
+            'any': 0, '0': 0,
+            'white': 1, '1': 1,
+            'black': 2, '2': 2,
+            'asian': 3, '3': 3
+        };
+        const result = raceMapping[race?.toString()] !== undefined ? raceMapping[race.toString()] : 0;
+        console.log('Normalized race:', race, '->', result);
+        return result;
+    }
+
+    normalizeHeight(height) {
+        if (!height || height === 'any' || height === 0) return 0;
+        const result = parseHeight(height) || 0;
+        console.log('Normalized height:', height, '->', result);
+        return result;
+    }
+
+    normalizeIncome(income) {
+        if (!income || income === 'any') return 0;
+        return parseIncome(income) || 0;
+    }
+
+    // Get cached data
+    get(criteria) {
+        const key = this.generateKey(criteria);
+        const cached = this.cache.get(key);
+        
+        console.log(`Cache lookup for key: ${key}`);
+        console.log(`Cache keys available:`, Array.from(this.cache.keys()));
+        
+        if (cached) {
+            console.log(`✅ Cache HIT for key: ${key}`);
+            console.log(`Returning cached data from:`, cached.timestamp);
+            return {
+                ...cached.data,
+                fromCache: true,
+                cacheKey: key,
+                cachedAt: cached.timestamp,
+                accessCount: cached.accessCount
+            };
+        }
+        
+        console.log(`❌ Cache MISS for key: ${key}`);
+        console.log(`Total cached entries: ${this.cache.size}`);
+        return null;
+    }
+
+    // Set cached data
+    set(criteria, data) {
+        const key = this.generateKey(criteria);
+        const normalizedCriteria = this.getNormalizedCriteria(criteria);
+        
+        const cacheEntry = {
+            criteria: normalizedCriteria,
+            data: data,
+            extractorVersion: data.extractorVersion,
+            timestamp: new Date().toISOString(),
+            accessCount: 1
+        };
+
+        this.cache.set(key, cacheEntry);
+        this.saveToFile();
+        
+        console.log(`💾 Cached data for key: ${key}`);
+        console.log(`Criteria:`, normalizedCriteria);
+        console.log(`Total cached entries: ${this.cache.size}`);
+        return key;
+    }
+
+    // Update access count for existing cache entry. persist=false leaves the
+    // write to the caller, so a batch of hits is saved once (saveAccessCounts)
+    updateAccess(criteria, { persist = true } = {}) {
+        const key = this.generateKey(criteria);
+        const cached = this.cache.get(key);
+        
+        if (cached) {
+            cached.accessCount = (cached.accessCount || 1) + 1;
+            cached.lastAccessed = new Date().toISOString();
+            this.cache.set(key, cached);
+            if (persist) this.saveAccessCounts();
+        }
+    }
+
+    saveAccessCounts() {
+        try {
+            this.saveToFile();
+        } catch (error) {
+            // Access counts are best effort; the hit is still served
+        }
+    }
+
+    getNormalizedCriteria(criteria) {
+        // FIXED: Handle all possible input variations consistently
+        const normalized = {
+            minAge: parseInt(criteria.minAge) || 25,
+            maxAge: parseInt(criteria.maxAge) || 35,
+            excludeMarried: Boolean(criteria.excludeMarried),
+            race: this.normalizeRace(criteria.race),
+            minHeight: this.normalizeHeight(criteria.height || criteria.minHeight),
+            excludeObese: Boolean(criteria.excludeObese),
+            minIncome: this.normalizeIncome(criteria.income || criteria.minIncome)
+        };
+
+        console.log('Input criteria:', criteria);
+        console.log('Normalized criteria:', normalized);
+        return normalized;
+    }
+
+    // Save cache to file
+    saveToFile() {
+        try {
+            const cacheObject = Object.fromEntries(this.cache);
+            fs.writeFileSync(this.cacheFile, JSON.stringify(cacheObject, null, 2));
+        } catch (error) {
+            console.error('Error saving cache to file:', error.message);
+            throw new ApiError('CACHE_IO_ERROR', `Could not save cache: ${error.message}`, { cause: error });
+        }
+    }
+
+    // Distance between two normalized criteria: age bounds per 5 years,
+    // height per 5 cm and income per 25k count as one step, as does each
+    // differing race or exclusion flag
+    criteriaDistance(a, b) {
+        return Math.abs(a.minAge - b.minAge) / 5 +
+            Math.abs(a.maxAge - b.maxAge) / 5 +
+            Math.abs(a.minHeight - b.minHeight) / 5 +
+            Math.abs(a.minIncome - b.minIncome) / 25000 +
+            (a.race !== b.race ? 1 : 0) +
+            (a.excludeMarried !== b.excludeMarried ? 1 : 0) +
+            (a.excludeObese !== b.excludeObese ? 1 : 0);
+    }
+
+    // Closest cached entry to the criteria within maxDistance, or null
+    findClosest(criteria, maxDistance = Infinity) {
+        const target = this.getNormalizedCriteria(criteria);
+        let closest = null;
+
+        for (const [key, entry] of this.cache.entries()) {
+            if (!entry.criteria || !entry.data) continue;
+            const distance = this.criteriaDistance(target, entry.criteria);
+            if (distance <= maxDistance && (!closest || distance < closest.distance)) {
+                closest = { key, entry, distance };
+            }
+        }
+
+        return closest;
+    }
+
+    // Cached entries that match criteria on every field except `fields`
+    // (one or more normalized criteria keys such as minHeight): points on
+    // the same curve or surface
+    findAlong(criteria, fields) {
+        const target = this.getNormalizedCriteria(criteria);
+        const varying = [].concat(fields);
+        const matches = [];
+
+        const sameOtherwise = (entry) => Object.keys(target).every(name => varying.includes(name) || entry.criteria[name] === target[name]);
+
+        for (const [key, entry] of this.cache.entries()) {
+            if (!entry.criteria || !entry.data) continue;
+            if (sameOtherwise(entry)) matches.push({ key, entry });
+        }
+        // Grid points the server has not scraped itself fill in the gaps
+        for (const [key, entry] of this.getGridEntries()) {
+            if (!this.cache.has(key) && sameOtherwise(entry)) matches.push({ key, entry });
+        }
+
+        return matches;
+    }
+
+    // results.json entries as { criteria, data } keyed like this cache.
+    // Reloaded whenever the file changes, so a precache run is picked up
+    // without a restart.
+    getGridEntries() {
+        let stat;
+        try {
+            stat = fs.statSync(this.gridFile);
+        } catch (error) {
+            this.gridEntries = new Map();
+            this.gridMtime = null;
+            return this.gridEntries;
+        }
+        if (stat.mtimeMs === this.gridMtime) return this.gridEntries;
+
+        this.gridMtime = stat.mtimeMs;
+        this.gridEntries = new Map();
+        try {
+            const results = JSON.parse(fs.readFileSync(this.gridFile, 'utf8'));
+            for (const { criteria, data } of gridEntries(results)) {
+                this.gridEntries.set(this.hashNormalized(criteria), { criteria, data, timestamp: data.timestamp });
+            }
+            console.log(`📐 Loaded ${this.gridEntries.size} precache grid entries for interpolation`);
+        } catch (error) {
+            console.error('⚠️ Could not read precache grid:', error.message);
+        }
+        return this.gridEntries;
+    }
+
+    // Get all cached data
+    getAllCached() {
+        return Array.from(this.cache.entries()).map(([key, value]) => ({
+            key,
+            ...value
+        }));
+    }
+
+    // Get cache statistics
+    getStats() {
+        const entries = Array.from(this.cache.values());
+        return {
+            totalEntries: this.cache.size,
+            totalAccesses: entries.reduce((sum, entry) => sum + (entry.accessCount || 1), 0),
+            oldestEntry: entries.length > 0 ? 
+                entries.reduce((oldest, entry) => 
+                    entry.timestamp < oldest.timestamp ? entry : oldest
+                ).timestamp : null,
+            newestEntry: entries.length > 0 ? 
+                entries.reduce((newest, entry) => 
+                    entry.timestamp > newest.timestamp ? entry : newest
+                ).timestamp : null,
+            consistency: summarizeConsistency(entries.map(entry => entry.data || {}))
+        };
+    }
+
+    // Remove a single entry and its screenshot
+    delete(key) {
+        const existed = this.cache.delete(key);
+        if (this.screenshotStore) {
+            this.screenshotStore.remove(key);
+        }
+        if (existed) {
+            this.saveToFile();
+            console.log(`🗑️ Deleted cache entry: ${key}`);
+        }
+        return existed;
+    }
+
+    // Clear cache
+    clear() {
+        this.cache.clear();
+        if (fs.existsSync(this.cacheFile)) {
+            fs.unlinkSync(this.cacheFile);
+        }
+        if (this.screenshotStore) {
+            this.screenshotStore.clear();
+        }
+        console.log('Cache cleared');
+    }
+}
+
+// Screenshots live outside public/, keyed by cache key
+const screenshotStore = new ScreenshotStore();
+
+// Initialize cache manager
+const cacheManager = new CacheManager({ screenshotStore });
+
+// Shared Chromium pool used by every scrape
+const browserPool = new BrowserPool();
+
+// Trace, HTML and console output of failed scrapes under cache/forensics
+const forensicsRecorder = new ForensicsRecorder();
+
+// Request pacing shared with the cache-system precache runner
+const upstreamLimiter = new UpstreamRateLimiter({ name: 'server' });
+
+// Stops scraping while the upstream keeps failing
+// Being held back by our own rate limiter or failing to start a browser
+// says nothing about upstream health
+const upstreamBreaker = new CircuitBreaker({
+    name: 'upstream',
+    isFailure: error => error.code !== 'UPSTREAM_RATE_LIMITED' && error.code !== 'BROWSER_LAUNCH_FAILED'
+});
+
+// How far (see CacheManager.criteriaDistance) a degraded answer may be from the request
+const DEGRADED_MAX_DISTANCE = parseFloat(process.env.DEGRADED_MAX_DISTANCE) || 4;
+
+// In mode=auto an interpolated estimate is served instead of scraping when its
+// error bound is at most this fraction of the estimate
+const APPROXIMATE_MAX_RELATIVE_ERROR = parseFloat(process.env.APPROXIMATE_MAX_RELATIVE_ERROR) || 0.5;
+
+// Offline model fitted by `node cache-system.js fit-model`. Reloaded whenever
+// the file changes, so a refit takes effect without a restart.
+let probabilityModel = null;
+let probabilityModelMtime = null;
+
+function getProbabilityModel() {
+    let stat;
+    try {
+        stat = fs.statSync(DEFAULT_MODEL_FILE);
+    } catch (error) {
+        if (probabilityModel) console.log(`⚠️ Model file ${DEFAULT_MODEL_FILE} is gone, model estimates disabled`);
+        probabilityModel = null;
+        probabilityModelMtime = null;
+        return null;
+    }
+
+    if (stat.mtimeMs !== probabilityModelMtime) {
+        probabilityModelMtime = stat.mtimeMs;
+        try {
+            probabilityModel = ProbabilityModel.load(DEFAULT_MODEL_FILE);
+            console.log(`🧮 Loaded probability model ${probabilityModel.version}`);
+        } catch (error) {
+            console.error('❌ Failed to load probability model:', error.message);
+            probabilityModel = null;
+        }
+    }
+    return probabilityModel;
+}
+
+// // Simple License System (No External Dependencies)
+// class LicenseManager {
+//     constructor() {
+//         // Set license expiry date (1 month from deployment)
+//         this.licenseExpiry = '2026-07-15'; // Change this date
+//         this.isExpired = false;
+        
+//         // Check license on startup
+//         this.checkLicenseExpiry();
+        
+//         // Check every hour
+//         setInterval(() => {
+//             this.checkLicenseExpiry();
+//         }, 3600000); // 1 hour
+//     }
+
+//     checkLicenseExpiry() {
+//         const now = new Date();
+//         const expiry = new Date(this.licenseExpiry);
+        
+//         if (now > expiry) {
+//             if (!this.isExpired) {
+//                 console.log('🚨 LICENSE EXPIRED 🚨');
+//                 this.isExpired = true;
+//                 this.createExpiredPage();
+//             }
+//             return false;
+//         }
+        
+//         const daysRemaining = Math.ceil((expiry - now) / (1000 * 60 * 60 * 24));
+//         // if (daysRemaining <= 7) {
+//         //     console.log(`⚠️ WARNING: License expires in ${daysRemaining} days`);
+//         // }
+        
+//         return true;
+//     }
+
+//     createExpiredPage() {
+//         const expiredHTML = `
+// <!DOCTYPE html>
+// <html lang="en">
+// <head>
+//     <meta charset="UTF-8">
+//     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+//     <title>Container Not Found</title>
+//     <style>
+//         * { margin: 0; padding: 0; box-sizing: border-box; }
+//         body {
+//             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+//             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+//             min-height: 100vh;
+//             display: flex;
+//             align-items: center;
+//             justify-content: center;
+//             color: white;
+//         }
+//         .container {
+//             text-align: center;
+//             padding: 50px;
+//             background: rgba(255, 255, 255, 0.1);
+//             border-radius: 20px;
+//             backdrop-filter: blur(10px);
+//             border: 1px solid rgba(255, 255, 255, 0.2);
+//             box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+//             max-width: 600px;
+//         }
+//         h1 {
+//             font-size: 3rem;
+//             margin-bottom: 20px;
+//             color: #ff6b6b;
+//             text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
+//         }
+//         .icon {
+//             font-size: 5rem;
+//             margin-bottom: 30px;
+//             display: block;
+//         }
+//         p {
+//             font-size: 1.3rem;
+//             margin-bottom: 15px;
+//             opacity: 0.9;
+//             line-height: 1.6;
+//         }
+//         .expired-date {
+//             font-size: 1.1rem;
+//             color: #ffeb3b;
+//             margin-top: 30px;
+//             padding: 15px;
+//             background: rgba(255, 255, 255, 0.1);
+//             border-radius: 10px;
+//         }
+//         .contact-info {
+//             margin-top: 30px;
+//             padding: 20px;
+//             background: rgba(255, 255, 255, 0.1);
+//             border-radius: 10px;
+//             border-left: 4px solid #ff6b6b;
+//         }
+//     </style>
+// </head>
+// <body>
+//     <div class="container">
+//         <span class="icon">🚫</span>
+//         <h1>Container Not Found</h1>
+//         <p>This application container has expired and is no longer available.</p>
+//         <p>Please contact the developer to renew access.</p>
+        
+//         <div class="expired-date">
+//             <strong>License Expired:</strong> ${this.licenseExpiry}<br>
+//             <strong>Current Date:</strong> ${new Date().toISOString().split('T')[0]}
+//         </div>
+        
+//         <div class="contact-info">
+//             <strong>📧 Contact Developer</strong><br>
+//             To renew access or get support, please contact:<br>
+//             <strong>Email:</strong> navidml6453@gmail.com<br>
+//             <strong>Phone:</strong> +447491598168<br>
+//             <strong>WhatsApp:</strong> +447491598168
+//         </div>
+//     </div>
+// </body>
+// </html>`;
+
+//         try {
+//             // Ensure public directory exists
+//             if (!fs.existsSync('public')) {
+//                 fs.mkdirSync('public', { recursive: true });
+//             }
+            
+//             // Replace all HTML files with expired page
+//             fs.writeFileSync(path.join('public', 'index.html'), expiredHTML);
+//             fs.writeFileSync(path.join('public', 'results.html'), expiredHTML);
+            
+//             console.log('License expired - Created "Container Not Found" page');
+//         } catch (error) {
+//             console.log('Failed to create expired page');
+//         }
+//     }
+
+//     isActive() {
+//         return !this.isExpired && this.checkLicenseExpiry();
+//     }
+// }
+
+// // Initialize license manager
+// const licenseManager = new LicenseManager();
+
+// // Middleware to check license status
+// function checkLicense(req, res, next) {
+//     if (!licenseManager.isActive()) {
+//         // If accessing API endpoints, return JSON error
+//         if (req.path.startsWith('/api/')) {
+//             return res.status(503).json({
+//                 error: 'Service Unavailable',
+//                 message: 'Container license has expired',
+//                 expired: true
+//             });
+//         }
+        
+//         // For web requests, let it serve the expired page
+//         return next();
+//     }
+//     next();
+// }
+
+// Apply license check to all routes
+// app.use(checkLicense);
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Apply screenshot retention (count, age, total size) every hour
+setInterval(() => screenshotStore.enforceRetention(), 3600000); // 1 hour
+
+// Race mapping - Updated to use 0,1,2,3
+const raceMapping = {
+    'any': 0,
+    '0': 0,
+    'white': 1,
+    '1': 1,
+    'black': 2,
+    '2': 2,
+    'asian': 3,
+    '3': 3
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Scrape progress events, broadcast by cache key so every waiting client can follow along
+const scrapeProgress = new EventEmitter();
+scrapeProgress.setMaxListeners(0);
+
+function reportProgress(key, stage, details = {}) {
+    scrapeProgress.emit('progress', {
+        key,
+        stage,
+        ...details,
+        timestamp: new Date().toISOString()
+    });
+}
+
+async function scrapeResults(criteria, onProgress = () => {}) {
+    let lease;
+    let forensics;
+    let url;
+    let failed = false;
+    try {
+        console.log('Acquiring page from browser pool...');
+        const poolStats = browserPool.getStats();
+        onProgress('waiting-for-browser', { queued: poolStats.activeScrapes >= poolStats.maxConcurrent });
+        try {
+            lease = await browserPool.acquire();
+        } catch (launchError) {
+            throw new ApiError('BROWSER_LAUNCH_FAILED', `Could not start a browser page: ${launchError.message}`, { cause: launchError });
+        }
+        const page = lease.page;
+        forensics = await forensicsRecorder.begin(page, lease.context);
+        onProgress('browser-acquired');
+        
+        // FIXED: Handle different input formats and convert to correct values
+        console.log('Input criteria:', criteria);
+        
+        // Height in CM; feet/inches strings such as "6'0\"" are converted
+        const minHeight = cacheManager.normalizeHeight(criteria.height || criteria.minHeight);
+        
+        // Income as a number; strings such as "$100k" or "75,000" are converted
+        const minIncome = cacheManager.normalizeIncome(criteria.income || criteria.minIncome);
+        
+        // Handle race - ensure it's a number
+        let race = 0;
+        if (criteria.race !== undefined) {
+            race = raceMapping[criteria.race.toString()] !== undefined ? raceMapping[criteria.race.toString()] : 0;
+        }
+        
+        // FIXED: Build URL with correct parameter names and values
+        const params = new URLSearchParams();
+        
+        // Add parameters in the EXACT order from the target URL
+        params.append('minAge', criteria.minAge || 25);
+        params.append('maxAge', criteria.maxAge || 35);
+        params.append('excludeMarried', criteria.excludeMarried ? 'true' : 'false');
+        params.append('race', race);
+        params.append('minHeight', minHeight.toFixed(2));
+        params.append('excludeObese', criteria.excludeObese ? 'true' : 'false');
+        params.append('minIncome', minIncome);
+        
+        url = buildResultsUrl(params);
+        console.log('Navigating to:', url);
+        console.log('Final parameters being sent:', {
+            minAge: criteria.minAge || 25,
+            maxAge: criteria.maxAge || 35,
+            excludeMarried: criteria.excludeMarried ? 'true' : 'false',
+            race: race,
+            minHeight: minHeight.toFixed(2),
+            excludeObese: criteria.excludeObese ? 'true' : 'false',
+            minIncome: minIncome
+        });
+        
+        // Navigate with retry logic
+        let navigationSuccess = false;
+        let retryCount = 0;
+        const maxRetries = 3;
+        
+        while (!navigationSuccess && retryCount < maxRetries) {
+            try {
+                console.log(`Navigation attempt ${retryCount + 1}/${maxRetries}`);
+                onProgress('navigation-attempt', { attempt: retryCount + 1, maxAttempts: maxRetries });
+                
+                await upstreamLimiter.acquire();
+                
+                const navigationStart = Date.now();
+                let response;
+                try {
+                    response = await page.goto(url, { 
+                        waitUntil: 'domcontentloaded',
+                        timeout: 45000 
+                    });
+                } catch (navigationError) {
+                    const durationMs = Date.now() - navigationStart;
+                    forensics.recordNavigation({ attempt: retryCount + 1, url, durationMs, status: null, error: navigationError.message });
+                    await upstreamLimiter.report({ durationMs });
+                    throw navigationError;
+                }
+                const durationMs = Date.now() - navigationStart;
+                const status = response ? response.status() : null;
+                forensics.recordNavigation({ attempt: retryCount + 1, url, durationMs, status, error: null });
+                await upstreamLimiter.report({ status, durationMs, retryAfter: response ? response.headers()['retry-after'] : null });
+                
+                // page.goto resolves on error pages too; treat throttling and server errors as failed attempts
+                if (status === 429 || status >= 500) {
+                    throw new Error(`Upstream responded with HTTP ${status}`);
+                }
+                
+                navigationSuccess = true;
+                console.log('Navigation successful');
+                
+            } catch (gotoError) {
+                if (gotoError.code === 'UPSTREAM_RATE_LIMITED') {
+                    throw gotoError;
+                }
+                retryCount++;
+                console.log(`Navigation failed (attempt ${retryCount}):`, gotoError.message);
+                
+                if (retryCount >= maxRetries) {
+                    const code = gotoError.name === 'TimeoutError' ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_NAVIGATION_FAILED';
+                    throw new ApiError(code, `Failed to navigate after ${maxRetries} attempts: ${gotoError.message}`, { cause: gotoError });
+                }
+                
+                console.log(`Retrying in 3 seconds...`);
+                onProgress('navigation-retry', { attempt: retryCount, error: gotoError.message, retryInMs: 3000 });
+                await delay(3000);
+            }
+        }
+        
+        // Wait until the results are rendered instead of sleeping a fixed time
+        console.log('Waiting for page to load...');
+        onProgress('waiting-for-content', { strategy: DEFAULT_WAIT_OPTIONS.strategy });
+        const waitTiming = await waitForResults(page);
+        if (!waitTiming.ready) {
+            console.log('Warning: Page did not report ready before timeout:', waitTiming.error);
+        }
+        
+        console.log('Starting data extraction...');
+        onProgress('extracting');
+        
+        // Extract the results using the shared extractor definition
+        const extracted = await extractResults(page);
+        const results = extracted.data;
+        
+        console.log('Scraped results:', results);
+        results.waitTiming = waitTiming;
+        results.structured = parseResults(results);
+
+        const warnings = validateResults(results);
+        if (warnings.length > 0) {
+            console.log('⚠️ Scraped result is internally inconsistent:', warnings.map(w => w.code).join(', '));
+        }
+        
+        // Take a screenshot for user verification unless the request opted out
+        results.screenshotKey = null;
+        results.screenshotUrl = null;
+        results.thumbnailUrl = null;
+        if (criteria.screenshot !== false && criteria.screenshot !== 'false') {
+            onProgress('screenshot');
+            try {
+                const screenshot = await screenshotStore.capture(page, cacheManager.generateKey(criteria));
+                console.log('Screenshot saved:', screenshot.screenshotUrl);
+                Object.assign(results, screenshot);
+            } catch (screenshotError) {
+                console.log('Could not save screenshot:', screenshotError.message);
+            }
+        }
+
+        // Validate results
+        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
+            // Log debug information
+            if (extracted.debug) {
+                console.log('Debug - All .result-number elements found:');
+                extracted.debug.elements.forEach(item => {
+                    console.log(`Index ${item.index}: "${item.text}" (HTML: ${item.innerHTML})`);
+                });
+            }
+            
+            // Get page content for debugging
+            const pageTitle = await page.title();
+            const pageUrl = page.url();
+            console.log('Page title:', pageTitle);
+            console.log('Page URL:', pageUrl);
+            
+            if (extracted.debug) {
+                console.log('Page HTML preview:', extracted.debug.html);
+            }
+            
+            throw new ApiError('NO_RESULTS_EXTRACTED', 'No valid results found on the page - .result-number elements may not be available');
+        }
+        
+        await forensics.succeed();
+        return results;
+        
+    } catch (error) {
+        console.error('Scraping error:', error);
+        // A local throttle decision: the page is fine and there is nothing to investigate
+        if (error.code === 'UPSTREAM_RATE_LIMITED') {
+            if (forensics) await forensics.discard();
+            throw error;
+        }
+        failed = true;
+        if (forensics) {
+            const forensicsId = await forensics.fail(error, { criteria, url: url || null, cacheKey: cacheManager.generateKey(criteria) });
+            if (forensicsId) error.forensicsId = forensicsId;
+        }
+        throw error;
+    } finally {
+        if (lease) {
+            await lease.release({ failed });
+            console.log('Page returned to browser pool');
+        }
+    }
+}
+
+// Enhanced function to get results with caching
+async function getResults(criteria) {
+    console.log('\n🔍 === CACHE LOOKUP STARTING ===');
+    console.log('Raw input criteria:', JSON.stringify(criteria, null, 2));
+    
+    // Check cache first
+    const key = cacheManager.generateKey(criteria);
+    reportProgress(key, 'cache-lookup');
+    const cachedResult = cacheManager.get(criteria);
+    if (cachedResult) {
+        reportProgress(key, 'cache-hit');
+        console.log('✅ Found in cache, updating access count');
+        cacheManager.updateAccess(criteria);
+        console.log('🔍 === CACHE LOOKUP COMPLETE (HIT) ===\n');
+        return cachedResult;
+    }
+
+    console.log('🔍 === CACHE LOOKUP COMPLETE (MISS) ===\n');
+
+    // source=model: answer from the offline model instead of the upstream
+    if (criteria.source === 'model') {
+        const estimate = getModelResult(criteria);
+        if (!estimate) {
+            throw new ApiError('MODEL_UNAVAILABLE', 'No probability model is loaded; fit one with npm run fit-model or use source=upstream');
+        }
+        console.log(`🧮 Serving model estimate from model ${estimate.model.version}`);
+        return estimate;
+    }
+
+    // mode=approximate|auto: interpolate from cached neighbours instead of scraping
+    const mode = criteria.mode || 'exact';
+    if (mode !== 'exact') {
+        const approximation = getApproximateResult(criteria);
+        const errorBound = approximation ? approximation.approximation.errorBound : null;
+        const relativeError = errorBound ? errorBound.relative : null;
+        // A zero-width bound (e.g. low === high === 0) is exact even though its relative error is undefined
+        const tightEnough = errorBound !== null && (errorBound.percentagePoints === 0 || (relativeError !== null && relativeError <= APPROXIMATE_MAX_RELATIVE_ERROR));
+        if (approximation && (mode === 'approximate' || tightEnough)) {
+            console.log(`📐 Serving approximate result from ${approximation.approximation.sources.length} cached entries`);
+            return approximation;
+        }
+        if (mode === 'approximate') {
+            throw new ApiError('APPROXIMATION_UNAVAILABLE', 'No cached entries surround these criteria closely enough to interpolate; use mode=exact or mode=auto to scrape');
+        }
+        console.log(approximation
+            ? `📐 Approximate error bound too wide (${Math.round(relativeError * 100)}%), proceeding to scrape`
+            : '📐 No cached neighbours to interpolate from, proceeding to scrape');
+    }
+
+    console.log('❌ Not found in cache, proceeding to scrape');
+
+    // Join an identical scrape that is already running instead of starting another
+    const pending = inFlightScrapes.get(key);
+    if (pending) {
+        console.log(`🔗 Joining in-flight scrape for key: ${key}`);
+        try {
+            const results = await pending;
+            return {
+                ...results,
+                coalesced: true
+            };
+        } catch (error) {
+            // Joiners get the same fallback as the request that started the scrape
+            const fallback = getFallbackResult(criteria, error);
+            if (fallback) return fallback;
+            throw error;
+        }
+    }
+
+    const scrape = scrapeAndCache(criteria, key);
+    inFlightScrapes.set(key, scrape);
+    try {
+        return await scrape;
+    } catch (error) {
+        const fallback = getFallbackResult(criteria, error);
+        if (fallback) return fallback;
+        throw error;
+    } finally {
+        inFlightScrapes.delete(key);
+    }
+}
+
+// While the upstream is down, answer from the model or the closest cached
+// entry instead. Null when the breaker is closed or nothing can stand in.
+function getFallbackResult(criteria, error) {
+    if (!upstreamBreaker.isOpen()) return null;
+    return getDegradedModelResult(criteria, error) || getDegradedResult(criteria, error);
+}
+
+// Closest cached entry for criteria that cannot be scraped, flagged as degraded
+function getDegradedResult(criteria, error) {
+    const closest = cacheManager.findClosest(criteria, DEGRADED_MAX_DISTANCE);
+    if (!closest) {
+        console.log('⚠️ No cached entry close enough to serve as a degraded result');
+        return null;
+    }
+
+    console.log(`🩹 Serving degraded result from cache key ${closest.key} (distance ${closest.distance})`);
+    return {
+        ...closest.entry.data,
+        fromCache: true,
+        cacheKey: closest.key,
+        cachedAt: closest.entry.timestamp,
+        degraded: true,
+        degradedReason: error.message,
+        degradedSource: {
+            cacheKey: closest.key,
+            criteria: closest.entry.criteria,
+            cachedAt: closest.entry.timestamp,
+            distance: closest.distance,
+            exact: closest.distance === 0
+        }
+    };
+}
+
+// Estimate from the offline model, shaped like a result. Null when no model is loaded.
+function getModelResult(criteria) {
+    const model = getProbabilityModel();
+    if (!model) return null;
+
+    const probabilityPercent = model.predictPercent(cacheManager.getNormalizedCriteria(criteria));
+    const described = describeProbability(probabilityPercent);
+    const summary = model.describe();
+    return {
+        probability: described.probability,
+        delusionScore: described.delusionScore,
+        delusionScoreNumber: described.delusionScoreNumber,
+        fromCache: false,
+        cacheKey: null,
+        modelEstimate: true,
+        model: {
+            version: summary.version,
+            fittedAt: summary.fittedAt,
+            probabilityPercent: Math.round(probabilityPercent * 1000) / 1000,
+            heldOut: summary.metrics.heldOut
+        }
+    };
+}
+
+// Model estimate for criteria that cannot be scraped, flagged as degraded
+function getDegradedModelResult(criteria, error) {
+    const estimate = getModelResult(criteria);
+    if (!estimate) return null;
+
+    console.log(`🩹 Serving degraded result from model ${estimate.model.version}`);
+    return {
+        ...estimate,
+        degraded: true,
+        degradedReason: error.message,
+        degradedSource: { model: estimate.model.version }
+    };
+}
+
+// Estimate interpolated from cached entries and precache grid results that
+// differ from the criteria only in age range, height and income (see
+// interpolation.js), shaped like a result. Null when the cache does not surround the criteria.
+function getApproximateResult(criteria) {
+    const target = cacheManager.getNormalizedCriteria(criteria);
+    const entries = cacheManager.findAlong(target, CONTINUOUS_FIELDS).map(({ key, entry }) => ({
+        key,
+        criteria: entry.criteria,
+        probabilityPercent: getTypedValues(entry.data).probabilityPercent
+    }));
+
+    const estimate = interpolateProbability(entries, target);
+    if (!estimate) return null;
+
+    const round3 = (value) => value === null ? null : Math.round(value * 1000) / 1000;
+    const described = describeProbability(estimate.probabilityPercent);
+    return {
+        probability: described.probability,
+        delusionScore: described.delusionScore,
+        delusionScoreNumber: described.delusionScoreNumber,
+        fromCache: false,
+        cacheKey: null,
+        approximate: true,
+        approximation: {
+            method: 'interpolated',
+            probabilityPercent: round3(estimate.probabilityPercent),
+            errorBound: {
+                low: round3(estimate.errorBound.low),
+                high: round3(estimate.errorBound.high),
+                percentagePoints: round3(estimate.errorBound.percentagePoints),
+                relative: round3(estimate.errorBound.relative)
+            },
+            sources: estimate.sources.map(source => ({
+                cacheKey: source.key,
+                criteria: source.criteria,
+                probabilityPercent: source.probabilityPercent
+            }))
+        }
+    };
+}
+
+// Approximate flag, error bound and source keys for API responses; empty for exact results
+function formatApproximate(results) {
+    if (!results.approximate) return {};
+    return {
+        approximate: true,
+        approximation: results.approximation
+    };
+}
+
+// Model flag, version and held-out accuracy for API responses; empty for other results
+function formatModel(results) {
+    if (!results.modelEstimate) return {};
+    return {
+        modelEstimate: true,
+        model: results.model
+    };
+}
+
+// Degraded flag and source for API responses; empty for normal results
+function formatDegraded(results) {
+    if (!results.degraded) return {};
+    return {
+        degraded: true,
+        degradedReason: results.degradedReason,
+        degradedSource: results.degradedSource
+    };
+}
+
+// In-flight scrapes keyed by cache key, so concurrent misses share one scrape
+const inFlightScrapes = new Map();
+
+async function scrapeAndCache(criteria, key) {
+    console.log('\n🌐 === SCRAPING STARTING ===');
+    // If not in cache, scrape and cache the result
+    const results = await upstreamBreaker.execute(() => scrapeResults(criteria, (stage, details) => reportProgress(key, stage, details)));
+    console.log('🌐 === SCRAPING COMPLETE ===\n');
+
+    console.log('\n💾 === CACHING RESULT ===');
+    let cacheKey = key;
+    try {
+        cacheKey = cacheManager.set(criteria, results);
+    } catch (error) {
+        // The entry is still cached in memory; serve the fresh result anyway
+        console.error('⚠️ Scraped result could not be persisted:', error.message);
     }
+    reportProgress(key, 'cached');
+    console.log('💾 === CACHING COMPLETE ===\n');
+    
+    return {
+        ...results,
+        fromCache: false,
+        cacheKey: cacheKey
+    };
+}
 
-    initializeCache() {
-        try {
-            // Create cache directory if it doesn't exist
-            if (!fs.existsSync(this.cacheDir)) {
-                fs.mkdirSync(this.cacheDir, { recursive: true });
-                console.log('Created cache directory');
-            }
+// Whether a request opted in to the raw upstream HTML (query string or JSON body)
+function wantsHtml(value) {
+    return value === true || value === 'true';
+}
 
-            // Load existing cache data
-            if (fs.existsSync(this.cacheFile)) {
-                const cacheData = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
-                this.cache = new Map(Object.entries(cacheData));
-                console.log(`Loaded ${this.cache.size} cached entries`);
-            } else {
-                console.log('No existing cache file found, starting fresh');
-            }
-        } catch (error) {
-            console.error('Error initializing cache:', error.message);
-            this.cache = new Map();
-        }
+// Screenshot links for a result; null once retention or invalidation removed the file
+function formatScreenshot(results) {
+    if (!results.screenshotKey) {
+        // Entries from before the screenshot store pointed into public/
+        return { screenshotUrl: results.screenshotUrl || null, thumbnailUrl: null };
     }
+    return {
+        screenshotUrl: screenshotStore.exists(results.screenshotKey) ? results.screenshotUrl : null,
+        thumbnailUrl: screenshotStore.exists(results.screenshotKey, 'thumbnail') ? results.thumbnailUrl : null
+    };
+}
 
-    // Generate unique key for criteria
-    generateKey(criteria) {
-        // Normalize criteria to ensure consistent keys - FIXED LOGIC
-        const normalized = this.getNormalizedCriteria(criteria);
+// Public result fields returned by the API. Raw upstream HTML is only
+// included when the caller asks for it with includeHtml.
+function formatResults(results, options = {}) {
+    const formatted = {
+        probability: results.probability,
+        delusionScore: results.delusionScore,
+        delusionScoreNumber: results.delusionScoreNumber,
+        typed: getTypedValues(results),
+        warnings: validateResults(results),
+        structured: results.structured || parseResults(results),
+        ...formatScreenshot(results)
+    };
 
-        // Sort keys to ensure consistent hash generation
-        const sortedNormalized = {};
-        Object.keys(normalized).sort().forEach(key => {
-            sortedNormalized[key] = normalized[key];
-        });
+    if (options.includeHtml) {
+        formatted.populationData = results.populationData;
+        formatted.paragraphText = results.paragraphText;
+        formatted.scoreFlexHTML = results.scoreFlexHTML;
+        formatted.boxParagraphList = results.boxParagraphList;
+    }
 
-        // Create hash of normalized criteria
-        const hash = crypto.createHash('md5')
-            .update(JSON.stringify(sortedNormalized))
-            .digest('hex');
+    return formatted;
+}
+
+// Background scrape jobs, resolved through getResults so they share the cache and pool
+const jobQueue = new JobQueue(async (criteria) => {
+    let results;
+    try {
+        results = await getResults(criteria);
+    } catch (error) {
+        // Store the taxonomy code on the job so pollers can decide to retry
+        throw toApiError(error);
+    }
+    return {
+        fromCache: results.fromCache,
+        coalesced: Boolean(results.coalesced),
+        cacheKey: results.cacheKey,
+        ...formatDegraded(results),
+        ...formatApproximate(results),
+        ...formatModel(results),
+        criteria: cacheManager.getNormalizedCriteria(criteria),
+        results: formatResults(results, { includeHtml: wantsHtml(criteria.includeHtml) })
+    };
+});
+
+// Serve the main HTML file
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// API endpoint to handle scraping requests (now with caching)
+app.post('/api/scrape', async (req, res) => {
+    try {
+        console.log(`\n🚀 === API SCRAPE REQUEST [${req.correlationId}] ===`);
+        console.log('Received criteria:', JSON.stringify(req.body, null, 2));
+        const parsed = parseCriteria(req.body);
+        const { criteria } = parsed;
         
-        console.log('Generated cache key:', hash, 'for criteria:', sortedNormalized);
-        return hash;
+        const results = await getResults(criteria);
+        
+        // Validate that we got valid results
+        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
+            console.error('❌ No valid results found in response:', results);
+            throw new ApiError('NO_RESULTS_EXTRACTED', 'No valid results found on the page');
+        }
+        
+        console.log('✅ Valid results obtained');
+        console.log('Results summary:', {
+            probability: results.probability,
+            delusionScore: results.delusionScore,
+            fromCache: results.fromCache
+        });
+        console.log('🚀 === API SCRAPE REQUEST COMPLETE ===\n');
+        
+        res.json({
+            success: true,
+            ...formatValidation(parsed),
+            data: {
+                ...results,
+                structured: results.structured || parseResults(results)
+            }
+        });
+        
+    } catch (error) {
+        console.log(`🚀 === API SCRAPE REQUEST FAILED [${req.correlationId}] ===\n`);
+        sendError(req, res, error, 'API scrape');
     }
+});
 
-    normalizeRace(race) {
-        const raceMapping = {
-            'any': 0, '0': 0,
-            'white': 1, '1': 1,
-            'black': 2, '2': 2,
-            'asian': 3, '3': 3
-        };
-        const result = raceMapping[race?.toString()] !== undefined ? raceMapping[race.toString()] : 0;
-        console.log('Normalized race:', race, '->', result);
-        return result;
+// NEW: API endpoint to get results by criteria (for external API usage)
+app.post('/api/results', async (req, res) => {
+    try {
+        console.log(`\n🎯 === API RESULTS REQUEST (POST) [${req.correlationId}] ===`);
+        console.log('API Request - Received criteria:', JSON.stringify(req.body, null, 2));
+        
+        // Validate required fields
+        const parsed = parseCriteria(req.body);
+        const { criteria } = parsed;
+        
+        const results = await getResults(criteria);
+        
+        // Validate that we got valid results
+        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
+            console.error('❌ No valid results found in response:', results);
+            throw new ApiError('NO_RESULTS_EXTRACTED', 'No valid results found');
+        }
+        
+        console.log('✅ Valid results obtained');
+        console.log('Results summary:', {
+            probability: results.probability,
+            delusionScore: results.delusionScore,
+            fromCache: results.fromCache
+        });
+        console.log('🎯 === API RESULTS REQUEST COMPLETE ===\n');
+        
+        // Return clean API response
+        res.json({
+            success: true,
+            fromCache: results.fromCache,
+            coalesced: Boolean(results.coalesced),
+            cacheKey: results.cacheKey,
+            ...formatDegraded(results),
+            ...formatApproximate(results),
+            ...formatModel(results),
+            criteria: cacheManager.getNormalizedCriteria(criteria),
+            ...formatValidation(parsed),
+            results: formatResults(results, { includeHtml: wantsHtml(req.body && req.body.includeHtml) }),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.log(`🎯 === API RESULTS REQUEST FAILED [${req.correlationId}] ===\n`);
+        sendError(req, res, error, 'API results');
     }
+});
 
-    normalizeHeight(height) {
-        if (!height || height === 'any' || height === 0) return 0;
-        const result = parseFloat(height) || 0;
-        console.log('Normalized height:', height, '->', result);
-        return result;
+// Map query string parameters onto the criteria fields; parseCriteria validates them
+function criteriaFromQuery(query) {
+    return {
+        minAge: query.minAge,
+        maxAge: query.maxAge,
+        excludeMarried: query.excludeMarried,
+        race: query.race,
+        height: query.minHeight !== undefined ? query.minHeight : query.height,
+        excludeObese: query.excludeObese,
+        income: query.minIncome !== undefined ? query.minIncome : query.income,
+        screenshot: query.screenshot,
+        lenient: query.lenient,
+        canonical: query.canonical,
+        mode: query.mode,
+        source: query.source
+    };
+}
+
+// Lenient-mode corrections and canonical snapping for API responses. In
+// canonical mode the response's criteria are the snapped ones and
+// requestedCriteria holds what was asked for.
+function formatValidation(parsed) {
+    const formatted = {};
+    if (parsed.adjustments.length > 0) {
+        formatted.criteriaAdjustments = parsed.adjustments;
     }
+    if (parsed.canonical) {
+        formatted.canonical = true;
+        formatted.requestedCriteria = cacheManager.getNormalizedCriteria(parsed.requestedCriteria);
+        formatted.snappedFields = parsed.snappedFields.map(field => ({ height: 'minHeight', income: 'minIncome' })[field] || field);
+    }
+    return formatted;
+}
 
-    // Get cached data
-    get(criteria) {
-        const key = this.generateKey(criteria);
-        const cached = this.cache.get(key);
+// NEW: GET version of API endpoint to handle query parameters
+app.get('/api/results', async (req, res) => {
+    try {
+        console.log(`\n🎯 === API RESULTS REQUEST (GET) [${req.correlationId}] ===`);
+        console.log('Query parameters received:', JSON.stringify(req.query, null, 2));
         
-        console.log(`Cache lookup for key: ${key}`);
-        console.log(`Cache keys available:`, Array.from(this.cache.keys()));
+        // Convert query parameters to a validated criteria object
+        const parsed = parseCriteria(criteriaFromQuery(req.query));
+        const { criteria } = parsed;
+        console.log('Converted criteria:', JSON.stringify(criteria, null, 2));
         
-        if (cached) {
-            console.log(`✅ Cache HIT for key: ${key}`);
-            console.log(`Returning cached data from:`, cached.timestamp);
-            return {
-                ...cached.data,
-                fromCache: true,
-                cacheKey: key,
-                cachedAt: cached.timestamp,
-                accessCount: cached.accessCount
-            };
+        const results = await getResults(criteria);
+        
+        // Validate that we got valid results
+        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
+            console.error('❌ No valid results found in response:', results);
+            throw new ApiError('NO_RESULTS_EXTRACTED', 'No valid results found');
         }
         
-        console.log(`❌ Cache MISS for key: ${key}`);
-        console.log(`Total cached entries: ${this.cache.size}`);
-        return null;
+        console.log('✅ Valid results obtained');
+        console.log('Results summary:', {
+            probability: results.probability,
+            delusionScore: results.delusionScore,
+            fromCache: results.fromCache
+        });
+        console.log('🎯 === API RESULTS REQUEST COMPLETE ===\n');
+        
+        // Return clean API response
+        res.json({
+            success: true,
+            fromCache: results.fromCache,
+            coalesced: Boolean(results.coalesced),
+            cacheKey: results.cacheKey,
+            ...formatDegraded(results),
+            ...formatApproximate(results),
+            ...formatModel(results),
+            criteria: cacheManager.getNormalizedCriteria(criteria),
+            ...formatValidation(parsed),
+            results: formatResults(results, { includeHtml: wantsHtml(req.query.includeHtml) }),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.log(`🎯 === API RESULTS REQUEST FAILED [${req.correlationId}] ===\n`);
+        sendError(req, res, error, 'API results GET');
     }
+});
 
-    // Set cached data
-    set(criteria, data) {
-        const key = this.generateKey(criteria);
-        const normalizedCriteria = this.getNormalizedCriteria(criteria);
-        
-        const cacheEntry = {
-            criteria: normalizedCriteria,
-            data: data,
-            timestamp: new Date().toISOString(),
-            accessCount: 1
-        };
+// Limits for POST /api/results/batch. Misses share the browser pool and the
+// upstream limiter with every other request, so a batch only needs enough
+// concurrency to keep the pool busy.
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || browserPool.maxConcurrent || 2;
 
-        this.cache.set(key, cacheEntry);
-        this.saveToFile();
-        
-        console.log(`💾 Cached data for key: ${key}`);
-        console.log(`Criteria:`, normalizedCriteria);
-        console.log(`Total cached entries: ${this.cache.size}`);
-        return key;
+// Result entry for one batch item; failures carry the same code and
+// retryable fields as a single-request error body
+function batchItemResult(index, outcome) {
+    if (outcome.error) {
+        const apiError = toApiError(outcome.error);
+        const item = {
+            index,
+            success: false,
+            status: 'failed',
+            error: apiError.message,
+            code: apiError.code,
+            retryable: apiError.retryable
+        };
+        if (apiError.details !== undefined) item.details = apiError.details;
+        if (apiError.retryAfterMs !== undefined) item.retryAfterMs = apiError.retryAfterMs;
+        return item;
     }
 
-    // Update access count for existing cache entry
-    updateAccess(criteria) {
-        const key = this.generateKey(criteria);
-        const cached = this.cache.get(key);
-        
-        if (cached) {
-            cached.accessCount = (cached.accessCount || 1) + 1;
-            cached.lastAccessed = new Date().toISOString();
-            this.cache.set(key, cached);
-            this.saveToFile();
+    const { parsed, results } = outcome;
+    return {
+        index,
+        success: true,
+        status: results.approximate ? 'approximate' : results.modelEstimate ? 'model' : results.fromCache && !results.degraded ? 'hit' : 'miss',
+        fromCache: results.fromCache,
+        coalesced: Boolean(results.coalesced),
+        cacheKey: results.cacheKey,
+        ...formatDegraded(results),
+        ...formatApproximate(results),
+        ...formatModel(results),
+        criteria: cacheManager.getNormalizedCriteria(parsed.criteria),
+        ...formatValidation(parsed),
+        results: formatResults(results, { includeHtml: wantsHtml(parsed.criteria.includeHtml) })
+    };
+}
+
+// Resolve every batch item: invalid items fail immediately, cache hits are
+// answered without waiting, and misses go through getResults at most
+// `concurrency` at a time. onItem(item) is called as each item finishes;
+// the returned items are in input order.
+async function runBatch(inputs, options = {}) {
+    const { concurrency = BATCH_CONCURRENCY, onItem = () => {}, isCancelled = () => false } = options;
+    const items = new Array(inputs.length);
+    const misses = [];
+    let hits = 0;
+
+    const finish = (index, outcome) => {
+        items[index] = batchItemResult(index, outcome);
+        onItem(items[index]);
+    };
+
+    inputs.forEach((input, index) => {
+        let parsed;
+        try {
+            const itemInput = input && typeof input === 'object' && !Array.isArray(input)
+                ? { ...options.defaults, ...input }
+                : input;
+            parsed = parseCriteria(itemInput);
+        } catch (error) {
+            return finish(index, { error });
+        }
+
+        const cachedResult = cacheManager.get(parsed.criteria);
+        if (cachedResult) {
+            cacheManager.updateAccess(parsed.criteria, { persist: false });
+            hits++;
+            return finish(index, { parsed, results: cachedResult });
+        }
+        misses.push({ index, parsed });
+    });
+
+    // One cache write for all the hits instead of one per item
+    if (hits > 0) cacheManager.saveAccessCounts();
+
+    console.log(`📦 Batch: ${inputs.length - misses.length} answered immediately, ${misses.length} to scrape (concurrency ${concurrency})`);
+
+    let next = 0;
+    const worker = async () => {
+        while (next < misses.length) {
+            const { index, parsed } = misses[next++];
+            if (isCancelled()) {
+                finish(index, { error: new ApiError('REQUEST_CANCELLED', 'Batch cancelled before this item was scraped') });
+                continue;
+            }
+            try {
+                const results = await getResults(parsed.criteria);
+                if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
+                    throw new ApiError('NO_RESULTS_EXTRACTED', 'No valid results found');
+                }
+                finish(index, { parsed, results });
+            } catch (error) {
+                finish(index, { error });
+            }
         }
-    }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, misses.length) }, worker));
 
-    getNormalizedCriteria(criteria) {
-        // FIXED: Handle all possible input variations consistently
-        const normalized = {
-            minAge: parseInt(criteria.minAge) || 25,
-            maxAge: parseInt(criteria.maxAge) || 35,
-            excludeMarried: Boolean(criteria.excludeMarried),
-            race: this.normalizeRace(criteria.race),
-            minHeight: this.normalizeHeight(criteria.height || criteria.minHeight),
-            excludeObese: Boolean(criteria.excludeObese),
-            minIncome: parseInt(criteria.income || criteria.minIncome || 0)
-        };
+    return items;
+}
 
-        console.log('Input criteria:', criteria);
-        console.log('Normalized criteria:', normalized);
-        return normalized;
-    }
+// Hit, miss and failure counts for a finished batch
+function summarizeBatch(items, startedAt) {
+    return {
+        total: items.length,
+        hits: items.filter(item => item.status === 'hit').length,
+        misses: items.filter(item => item.status === 'miss').length,
+        failures: items.filter(item => item.status === 'failed').length,
+        approximate: items.filter(item => item.status === 'approximate').length,
+        model: items.filter(item => item.status === 'model').length,
+        degraded: items.filter(item => item.degraded).length,
+        durationMs: Date.now() - startedAt
+    };
+}
 
-    // Save cache to file
-    saveToFile() {
-        try {
-            const cacheObject = Object.fromEntries(this.cache);
-            fs.writeFileSync(this.cacheFile, JSON.stringify(cacheObject, null, 2));
-        } catch (error) {
-            console.error('Error saving cache to file:', error.message);
+// Whether the caller asked for the NDJSON streaming response
+function wantsNdjson(req) {
+    if (req.query.stream !== undefined) return req.query.stream === 'true' || req.query.stream === 'ndjson';
+    return (req.get('accept') || '').includes('application/x-ndjson');
+}
+
+// Resolve many criteria sets in one call, results in input order
+app.post('/api/results/batch', async (req, res) => {
+    const startedAt = Date.now();
+    let inputs;
+    let defaults;
+    try {
+        console.log(`\n📦 === API BATCH REQUEST [${req.correlationId}] ===`);
+        const body = req.body;
+        inputs = Array.isArray(body) ? body : body && body.items;
+        if (!Array.isArray(inputs) || inputs.length === 0) {
+            throw new ApiError('VALIDATION_ERROR', 'Request body must be a non-empty array of criteria, or { items: [...] }');
+        }
+        if (inputs.length > BATCH_MAX_ITEMS) {
+            throw new ApiError('VALIDATION_ERROR', `A batch may contain at most ${BATCH_MAX_ITEMS} items (got ${inputs.length})`, {
+                details: { maxItems: BATCH_MAX_ITEMS }
+            });
         }
-    }
 
-    // Get all cached data
-    getAllCached() {
-        return Array.from(this.cache.entries()).map(([key, value]) => ({
-            key,
-            ...value
-        }));
+        // Options on the envelope apply to every item that does not set them itself
+        defaults = {};
+        if (!Array.isArray(body)) {
+            for (const option of ['lenient', 'canonical', 'includeHtml', 'screenshot', 'mode', 'source']) {
+                if (body[option] !== undefined) defaults[option] = body[option];
+            }
+        }
+    } catch (error) {
+        return sendError(req, res, error, 'API batch');
     }
 
-    // Get cache statistics
-    getStats() {
-        const entries = Array.from(this.cache.values());
-        return {
-            totalEntries: this.cache.size,
-            totalAccesses: entries.reduce((sum, entry) => sum + (entry.accessCount || 1), 0),
-            oldestEntry: entries.length > 0 ? 
-                entries.reduce((oldest, entry) => 
-                    entry.timestamp < oldest.timestamp ? entry : oldest
-                ).timestamp : null,
-            newestEntry: entries.length > 0 ? 
-                entries.reduce((newest, entry) => 
-                    entry.timestamp > newest.timestamp ? entry : newest
-                ).timestamp : null
+    if (wantsNdjson(req)) {
+        // One JSON line per item as soon as it finishes, then a summary line
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        res.status(200);
+        res.set({
+            'Content-Type': 'application/x-ndjson',
+            'Cache-Control': 'no-cache'
+        });
+        res.flushHeaders();
+
+        const writeLine = (line) => {
+            if (!closed) res.write(`${JSON.stringify(line)}\n`);
         };
-    }
 
-    // Clear cache
-    clear() {
-        this.cache.clear();
-        if (fs.existsSync(this.cacheFile)) {
-            fs.unlinkSync(this.cacheFile);
+        try {
+            const items = await runBatch(inputs, {
+                defaults,
+                onItem: item => writeLine({ type: 'item', ...item }),
+                isCancelled: () => closed
+            });
+            writeLine({ type: 'summary', correlationId: req.correlationId, ...summarizeBatch(items, startedAt), timestamp: new Date().toISOString() });
+        } catch (error) {
+            writeLine({ type: 'error', ...errorBody(toApiError(error), req.correlationId) });
         }
-        console.log('Cache cleared');
+        console.log(`📦 === API BATCH STREAM ${closed ? 'CLOSED BY CLIENT' : 'COMPLETE'} ===\n`);
+        return res.end();
     }
-}
 
-// Initialize cache manager
-const cacheManager = new CacheManager();
-
-// // Simple License System (No External Dependencies)
-// class LicenseManager {
-//     constructor() {
-//         // Set license expiry date (1 month from deployment)
-//         this.licenseExpiry = '2026-07-15'; // Change this date
-//         this.isExpired = false;
-        
-//         // Check license on startup
-//         this.checkLicenseExpiry();
-        
-//         // Check every hour
-//         setInterval(() => {
-//             this.checkLicenseExpiry();
-//         }, 3600000); // 1 hour
-//     }
+    // Stop scraping misses once the client has gone away
+    let closed = false;
+    res.on('close', () => { closed = true; });
 
-//     checkLicenseExpiry() {
-//         const now = new Date();
-//         const expiry = new Date(this.licenseExpiry);
-        
-//         if (now > expiry) {
-//             if (!this.isExpired) {
-//                 console.log('🚨 LICENSE EXPIRED 🚨');
-//                 this.isExpired = true;
-//                 this.createExpiredPage();
-//             }
-//             return false;
-//         }
-        
-//         const daysRemaining = Math.ceil((expiry - now) / (1000 * 60 * 60 * 24));
-//         // if (daysRemaining <= 7) {
-//         //     console.log(`⚠️ WARNING: License expires in ${daysRemaining} days`);
-//         // }
-        
-//         return true;
-//     }
+    try {
+        const items = await runBatch(inputs, { defaults, isCancelled: () => closed });
+        const summary = summarizeBatch(items, startedAt);
+        if (closed) {
+            console.log(`📦 === API BATCH REQUEST CLOSED BY CLIENT ===\n`);
+            return;
+        }
+        console.log(`📦 === API BATCH REQUEST COMPLETE: ${summary.hits} hits, ${summary.misses} misses, ${summary.failures} failures ===\n`);
+        res.json({
+            success: true,
+            summary,
+            items,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendError(req, res, error, 'API batch');
+    }
+});
 
-//     createExpiredPage() {
-//         const expiredHTML = `
-// <!DOCTYPE html>
-// <html lang="en">
-// <head>
-//     <meta charset="UTF-8">
-//     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-//     <title>Container Not Found</title>
-//     <style>
-//         * { margin: 0; padding: 0; box-sizing: border-box; }
-//         body {
-//             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-//             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-//             min-height: 100vh;
-//             display: flex;
-//             align-items: center;
-//             justify-content: center;
-//             color: white;
-//         }
-//         .container {
-//             text-align: center;
-//             padding: 50px;
-//             background: rgba(255, 255, 255, 0.1);
-//             border-radius: 20px;
-//             backdrop-filter: blur(10px);
-//             border: 1px solid rgba(255, 255, 255, 0.2);
-//             box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-//             max-width: 600px;
-//         }
-//         h1 {
-//             font-size: 3rem;
-//             margin-bottom: 20px;
-//             color: #ff6b6b;
-//             text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
-//         }
-//         .icon {
-//             font-size: 5rem;
-//             margin-bottom: 30px;
-//             display: block;
-//         }
-//         p {
-//             font-size: 1.3rem;
-//             margin-bottom: 15px;
-//             opacity: 0.9;
-//             line-height: 1.6;
-//         }
-//         .expired-date {
-//             font-size: 1.1rem;
-//             color: #ffeb3b;
-//             margin-top: 30px;
-//             padding: 15px;
-//             background: rgba(255, 255, 255, 0.1);
-//             border-radius: 10px;
-//         }
-//         .contact-info {
-//             margin-top: 30px;
-//             padding: 20px;
-//             background: rgba(255, 255, 255, 0.1);
-//             border-radius: 10px;
-//             border-left: 4px solid #ff6b6b;
-//         }
-//     </style>
-// </head>
-// <body>
-//     <div class="container">
-//         <span class="icon">🚫</span>
-//         <h1>Container Not Found</h1>
-//         <p>This application container has expired and is no longer available.</p>
-//         <p>Please contact the developer to renew access.</p>
-        
-//         <div class="expired-date">
-//             <strong>License Expired:</strong> ${this.licenseExpiry}<br>
-//             <strong>Current Date:</strong> ${new Date().toISOString().split('T')[0]}
-//         </div>
-        
-//         <div class="contact-info">
-//             <strong>📧 Contact Developer</strong><br>
-//             To renew access or get support, please contact:<br>
-//             <strong>Email:</strong> navidml6453@gmail.com<br>
-//             <strong>Phone:</strong> +447491598168<br>
-//             <strong>WhatsApp:</strong> +447491598168
-//         </div>
-//     </div>
-// </body>
-// </html>`;
+// Scraped points per sweep when the request does not say (scrape=N); the
+// rest of the curve is estimated from what is known
+const SWEEP_MAX_SCRAPES = process.env.SWEEP_MAX_SCRAPES !== undefined ? parseInt(process.env.SWEEP_MAX_SCRAPES) : 5;
 
-//         try {
-//             // Ensure public directory exists
-//             if (!fs.existsSync('public')) {
-//                 fs.mkdirSync('public', { recursive: true });
-//             }
-            
-//             // Replace all HTML files with expired page
-//             fs.writeFileSync(path.join('public', 'index.html'), expiredHTML);
-//             fs.writeFileSync(path.join('public', 'results.html'), expiredHTML);
-            
-//             console.log('License expired - Created "Container Not Found" page');
-//         } catch (error) {
-//             console.log('Failed to create expired page');
-//         }
-//     }
+// Sweep one criterion over a range. Cached points are read from the cache,
+// up to maxScrapes missing points (spread across the range) are scraped, and
+// the rest are estimated from the known points on the same curve, including
+// cache entries outside the sweep that differ only in the swept field.
+async function runSweep(parsed, spec, options = {}) {
+    const { maxScrapes = SWEEP_MAX_SCRAPES } = options;
+    const points = sweepValues(spec).map(value => ({
+        value,
+        criteria: { ...parsed.criteria, [spec.field]: value, screenshot: false, mode: 'exact', source: 'upstream' }
+    }));
 
-//     isActive() {
-//         return !this.isExpired && this.checkLicenseExpiry();
-//     }
-// }
+    const misses = [];
+    for (const point of points) {
+        const cached = cacheManager.get(point.criteria);
+        if (cached) {
+            point.status = 'cached';
+            point.cacheKey = cached.cacheKey;
+            point.results = cached;
+        } else {
+            misses.push(point);
+        }
+    }
 
-// // Initialize license manager
-// const licenseManager = new LicenseManager();
+    const toScrape = pickSpread(misses, maxScrapes);
+    if (toScrape.length > 0) {
+        console.log(`📈 Sweep ${spec.param}: ${points.length - misses.length} cached, scraping ${toScrape.length} of ${misses.length} missing points`);
+        const items = await runBatch(toScrape.map(point => point.criteria));
+        items.forEach((item, index) => {
+            const point = toScrape[index];
+            // A degraded answer belongs to other criteria; estimate this point instead
+            if (item.success && !item.degraded) {
+                point.status = item.status === 'hit' ? 'cached' : 'fresh';
+                point.cacheKey = item.cacheKey;
+                point.results = item.results;
+            } else {
+                point.error = item.success
+                    ? { code: 'UPSTREAM_UNAVAILABLE', message: item.degradedReason }
+                    : { code: item.code, message: item.error };
+            }
+        });
+    }
 
-// // Middleware to check license status
-// function checkLicense(req, res, next) {
-//     if (!licenseManager.isActive()) {
-//         // If accessing API endpoints, return JSON error
-//         if (req.path.startsWith('/api/')) {
-//             return res.status(503).json({
-//                 error: 'Service Unavailable',
-//                 message: 'Container license has expired',
-//                 expired: true
-//             });
-//         }
-        
-//         // For web requests, let it serve the expired page
-//         return next();
-//     }
-//     next();
-// }
+    const known = points
+        .filter(point => point.results)
+        .map(point => ({ value: point.value, cacheKey: point.cacheKey, probabilityPercent: getTypedValues(point.results).probabilityPercent }));
+    const knownValues = new Set(known.map(point => point.value));
+    for (const { key, entry } of cacheManager.findAlong(parsed.criteria, spec.key)) {
+        const value = entry.criteria[spec.key];
+        if (knownValues.has(value)) continue;
+        known.push({ value, cacheKey: key, probabilityPercent: getTypedValues(entry.data).probabilityPercent });
+    }
 
-// Apply license check to all routes
-// app.use(checkLicense);
+    return points.map(point => {
+        if (point.results) {
+            const typed = getTypedValues(point.results);
+            return {
+                value: point.value,
+                status: point.status,
+                probability: point.results.probability,
+                probabilityPercent: typed.probabilityPercent,
+                delusionScore: point.results.delusionScore,
+                delusionScoreNumber: point.results.delusionScoreNumber,
+                label: typed.label,
+                cacheKey: point.cacheKey
+            };
+        }
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+        const estimate = estimateProbability(known, point.value);
+        if (!estimate) {
+            return { value: point.value, status: 'unavailable', probability: null, probabilityPercent: null, error: point.error };
+        }
+        return {
+            value: point.value,
+            status: 'estimated',
+            ...describeProbability(estimate.probabilityPercent),
+            probabilityPercent: Math.round(estimate.probabilityPercent * 1000) / 1000,
+            estimate: {
+                method: estimate.method,
+                sources: estimate.sources.map(source => ({ value: source.value, cacheKey: source.cacheKey }))
+            },
+            error: point.error
+        };
+    });
+}
 
-// Cleanup old screenshots (keep only last 50)
-function cleanupOldScreenshots() {
+// Probability curve for one criterion over a range, other criteria fixed
+app.get('/api/sweep', async (req, res) => {
     try {
-        const publicDir = path.join(__dirname, 'public');
-        if (!fs.existsSync(publicDir)) return;
-        
-        const files = fs.readdirSync(publicDir)
-            .filter(file => file.startsWith('screenshot_') && file.endsWith('.png'))
-            .map(file => ({
-                name: file,
-                path: path.join(publicDir, file),
-                time: fs.statSync(path.join(publicDir, file)).mtime.getTime()
-            }))
-            .sort((a, b) => b.time - a.time); // Sort by modification time, newest first
-        
-        // Keep only the latest 50 screenshots, delete the rest
-        if (files.length > 50) {
-            const filesToDelete = files.slice(50);
-            filesToDelete.forEach(file => {
-                try {
-                    fs.unlinkSync(file.path);
-                    console.log('Deleted old screenshot:', file.name);
-                } catch (deleteError) {
-                    console.log('Could not delete screenshot:', file.name);
-                }
+        console.log(`\n📈 === API SWEEP REQUEST [${req.correlationId}] ===`);
+        const parsed = parseCriteria(criteriaFromQuery(req.query));
+        const { spec, errors } = parseSweepSpec(req.query);
+        if (errors) {
+            throw new ApiError('VALIDATION_ERROR', `Invalid sweep: ${errors.map(error => error.message).join('; ')}`, {
+                details: { fields: errors }
+            });
+        }
+
+        // Swept ages must stay on their side of the fixed bound
+        const { minAge, maxAge } = parsed.criteria;
+        if ((spec.param === 'minAge' && spec.to > maxAge) || (spec.param === 'maxAge' && spec.from < minAge)) {
+            const bound = spec.param === 'minAge' ? `maxAge (${maxAge})` : `minAge (${minAge})`;
+            throw new ApiError('VALIDATION_ERROR', `A ${spec.param} sweep must not cross ${bound}`, {
+                details: { fields: [{ field: spec.param === 'minAge' ? 'to' : 'from', message: `must not cross ${bound}`, value: spec.param === 'minAge' ? spec.to : spec.from }] }
             });
         }
+
+        let maxScrapes = SWEEP_MAX_SCRAPES;
+        if (req.query.scrape !== undefined) {
+            maxScrapes = parseInt(req.query.scrape, 10);
+            if (!Number.isInteger(maxScrapes) || maxScrapes < 0) {
+                throw new ApiError('VALIDATION_ERROR', 'scrape must be a whole number of points to scrape (0 or more)', {
+                    details: { fields: [{ field: 'scrape', message: 'scrape must be 0 or more', value: req.query.scrape }] }
+                });
+            }
+        }
+
+        const points = await runSweep(parsed, spec, { maxScrapes });
+        const summary = points.reduce((counts, point) => {
+            counts[point.status] = (counts[point.status] || 0) + 1;
+            return counts;
+        }, { cached: 0, fresh: 0, estimated: 0, unavailable: 0 });
+        console.log(`📈 === API SWEEP COMPLETE: ${JSON.stringify(summary)} ===\n`);
+
+        res.json({
+            success: true,
+            param: spec.param,
+            range: { from: spec.from, to: spec.to, step: spec.step },
+            criteria: cacheManager.getNormalizedCriteria(parsed.criteria),
+            ...formatValidation(parsed),
+            summary,
+            points,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        console.log('Error during screenshot cleanup:', error.message);
+        sendError(req, res, error, 'API sweep');
     }
+});
+
+// Numeric fields the recommender can also relax along an estimated curve,
+// with the looser values to try, closest first
+function looserValues(field, original) {
+    const values = [];
+    switch (field) {
+        case 'minHeight':
+            return CRITERIA_STEPS.heights.map(step => step.cm).filter(cm => cm < original).reverse();
+        case 'minIncome':
+            return CRITERIA_STEPS.incomes.map(step => step.amount).filter(amount => amount < original).reverse();
+        case 'minAge':
+            for (let age = original - 1; age >= CRITERIA_LIMITS.minAge.min; age--) values.push(age);
+            return values;
+        case 'maxAge':
+            for (let age = original + 1; age <= CRITERIA_LIMITS.maxAge.max; age++) values.push(age);
+            return values;
+    }
+    return values;
 }
 
-// Run cleanup every hour
-setInterval(cleanupOldScreenshots, 3600000); // 1 hour
+// Smallest relaxations of criteria that reach target.probabilityPercent.
+// Every cached entry that only loosens the criteria is a candidate; single
+// numeric changes are also estimated along curves with cached points on both
+// sides. Nothing is scraped. Suggestions are ranked by
+// CacheManager.criteriaDistance from the original criteria.
+function recommendRelaxations(criteria, target, options = {}) {
+    const { limit = 5 } = options;
+    const original = cacheManager.getNormalizedCriteria(criteria);
+    const distanceTo = (candidate) => Math.round(cacheManager.criteriaDistance(original, candidate) * 100) / 100;
+    const suggestions = [];
 
-// Race mapping - Updated to use 0,1,2,3
-const raceMapping = {
-    'any': 0,
-    '0': 0,
-    'white': 1,
-    '1': 1,
-    'black': 2,
-    '2': 2,
-    'asian': 3,
-    '3': 3
-};
+    for (const entry of cacheManager.getAllCached()) {
+        if (!entry.criteria || !entry.data) continue;
+        const changes = relaxationChanges(original, entry.criteria);
+        if (!changes) continue;
+        const typed = getTypedValues(entry.data);
+        if (typed.probabilityPercent === null || typed.probabilityPercent < target.probabilityPercent) continue;
+        suggestions.push({
+            changes,
+            distance: distanceTo(entry.criteria),
+            source: 'cached',
+            probability: entry.data.probability,
+            probabilityPercent: typed.probabilityPercent,
+            delusionScore: entry.data.delusionScore,
+            delusionScoreNumber: entry.data.delusionScoreNumber,
+            label: typed.label,
+            cacheKey: entry.key
+        });
+    }
 
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    for (const field of ['minHeight', 'minIncome', 'minAge', 'maxAge']) {
+        const known = cacheManager.findAlong(original, field).map(({ key, entry }) => ({
+            value: entry.criteria[field],
+            cacheKey: key,
+            probabilityPercent: getTypedValues(entry.data).probabilityPercent
+        }));
+        if (known.length < 2) continue;
+        const knownValues = new Set(known.map(point => point.value));
 
-async function scrapeResults(criteria) {
-    let browser;
-    try {
-        console.log('Launching Playwright browser...');
-        browser = await chromium.launch({
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor'
-            ],
-            timeout: 60000
-        });
-        
-        console.log('Creating new page...');
-        const page = await browser.newPage();
-        
-        // FIXED: Handle different input formats and convert to correct values
-        console.log('Input criteria:', criteria);
-        
-        // Handle height - convert from CM to proper format if needed
-        let minHeight = 0;
-        if (criteria.height && criteria.height !== 'any' && criteria.height !== 0) {
-            // If it's already a CM value (number), use it directly
-            if (typeof criteria.height === 'number' || !isNaN(parseFloat(criteria.height))) {
-                minHeight = parseFloat(criteria.height);
-            } else {
-                // If it's a string like "6'0", would need conversion (not implemented in original)
-                minHeight = 0;
-            }
-        }
-        
-        // Handle income - ensure it's a number or 0
-        let minIncome = 0;
-        if (criteria.income && criteria.income !== 'any') {
-            minIncome = parseInt(criteria.income) || 0;
-        } else if (criteria.minIncome && criteria.minIncome !== 'any') {
-            // Also handle if frontend sends minIncome directly
-            minIncome = parseInt(criteria.minIncome) || 0;
+        // The first (closest) looser value estimated to reach the target
+        for (const value of looserValues(field, original[field])) {
+            if (knownValues.has(value)) continue;
+            const estimate = estimateProbability(known, value);
+            if (!estimate || estimate.method !== 'interpolated' || estimate.probabilityPercent < target.probabilityPercent) continue;
+            suggestions.push({
+                changes: [{ field, from: original[field], to: value }],
+                distance: distanceTo({ ...original, [field]: value }),
+                source: 'estimated',
+                ...describeProbability(estimate.probabilityPercent),
+                probabilityPercent: Math.round(estimate.probabilityPercent * 1000) / 1000,
+                estimate: {
+                    method: estimate.method,
+                    sources: estimate.sources.map(source => ({ value: source.value, cacheKey: source.cacheKey }))
+                }
+            });
+            break;
         }
-        
-        // Handle race - ensure it's a number
-        let race = 0;
-        if (criteria.race !== undefined) {
-            race = raceMapping[criteria.race.toString()] !== undefined ? raceMapping[criteria.race.toString()] : 0;
+    }
+
+    suggestions.sort((a, b) => a.distance - b.distance || a.changes.length - b.changes.length);
+    return pruneDominated(suggestions).slice(0, limit);
+}
+
+// Cheapest changes to the criteria that reach a target probability or label
+app.get('/api/recommendations', (req, res) => {
+    try {
+        console.log(`\n🧭 === API RECOMMENDATIONS REQUEST [${req.correlationId}] ===`);
+        const parsed = parseCriteria(criteriaFromQuery(req.query));
+        const { criteria } = parsed;
+        const { target, errors } = resolveTarget(req.query);
+        if (errors) {
+            throw new ApiError('VALIDATION_ERROR', `Invalid target: ${errors.map(error => error.message).join('; ')}`, {
+                details: { fields: errors }
+            });
         }
-        
-        // FIXED: Build URL with correct parameter names and values
-        const params = new URLSearchParams();
-        
-        // Add parameters in the EXACT order from the target URL
-        params.append('minAge', criteria.minAge || 25);
-        params.append('maxAge', criteria.maxAge || 35);
-        params.append('excludeMarried', criteria.excludeMarried ? 'true' : 'false');
-        params.append('race', race);
-        params.append('minHeight', minHeight.toFixed(2));
-        params.append('excludeObese', criteria.excludeObese ? 'true' : 'false');
-        params.append('minIncome', minIncome);
-        
-        const url = `https://igotstandardsbro.com/results?${params.toString()}`;
-        console.log('Navigating to:', url);
-        console.log('Final parameters being sent:', {
-            minAge: criteria.minAge || 25,
-            maxAge: criteria.maxAge || 35,
-            excludeMarried: criteria.excludeMarried ? 'true' : 'false',
-            race: race,
-            minHeight: minHeight.toFixed(2),
-            excludeObese: criteria.excludeObese ? 'true' : 'false',
-            minIncome: minIncome
-        });
-        
-        // Navigate with retry logic
-        let navigationSuccess = false;
-        let retryCount = 0;
-        const maxRetries = 3;
-        
-        while (!navigationSuccess && retryCount < maxRetries) {
-            try {
-                console.log(`Navigation attempt ${retryCount + 1}/${maxRetries}`);
-                
-                await page.goto(url, { 
-                    waitUntil: 'domcontentloaded',
-                    timeout: 45000 
+
+        let limit = 5;
+        if (req.query.limit !== undefined) {
+            limit = parseInt(req.query.limit, 10);
+            if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+                throw new ApiError('VALIDATION_ERROR', 'limit must be between 1 and 20', {
+                    details: { fields: [{ field: 'limit', message: 'limit must be between 1 and 20', value: req.query.limit }] }
                 });
-                
-                navigationSuccess = true;
-                console.log('Navigation successful');
-                
-            } catch (gotoError) {
-                retryCount++;
-                console.log(`Navigation failed (attempt ${retryCount}):`, gotoError.message);
-                
-                if (retryCount >= maxRetries) {
-                    throw new Error(`Failed to navigate after ${maxRetries} attempts: ${gotoError.message}`);
-                }
-                
-                console.log(`Retrying in 3 seconds...`);
-                await delay(3000);
             }
         }
-        
-        // Wait for page to load completely
-        console.log('Waiting for page to load...');
-        await delay(8000); // Increased wait time for better loading
-        
-        // Wait for body element
-        try {
-            await page.waitForSelector('body', { timeout: 10000 });
-            await delay(3000); // Additional wait for dynamic content
-        } catch (waitError) {
-            console.log('Warning: Could not wait for body selector');
-        }
-        
-        console.log('Starting data extraction...');
-        
-        // Extract the results using the specific selectors provided
-        const results = await page.evaluate(() => {
-            const data = {};
-            
-            console.log('Starting data extraction in browser context...');
-            
-            // Use the exact selectors provided
-            const resultNumbers = document.querySelectorAll('.result-number');
-            console.log('Found .result-number elements:', resultNumbers.length);
-            
-            if (resultNumbers.length >= 3) {
-                // Probability score - $('.result-number')[0].textContent
-                data.probability = resultNumbers[0].textContent.trim();
-                console.log('Probability (index 0):', data.probability);
-                
-                // Delusion score number - $('.result-number')[1].textContent
-                data.delusionScoreNumber = resultNumbers[1].textContent.trim();
-                console.log('Delusion score number (index 1):', data.delusionScoreNumber);
-                
-                // Delusion label - $('.result-number')[2].textContent
-                data.delusionScore = resultNumbers[2].textContent.trim();
-                console.log('Delusion label (index 2):', data.delusionScore);
+
+        const cachedResult = cacheManager.get(criteria);
+        const current = cachedResult ? {
+            probability: cachedResult.probability,
+            probabilityPercent: getTypedValues(cachedResult).probabilityPercent,
+            delusionScore: cachedResult.delusionScore,
+            delusionScoreNumber: cachedResult.delusionScoreNumber,
+            label: getTypedValues(cachedResult).label,
+            cacheKey: cachedResult.cacheKey
+        } : null;
+        const alreadyMeetsTarget = Boolean(current && current.probabilityPercent !== null && current.probabilityPercent >= target.probabilityPercent);
+
+        const suggestions = alreadyMeetsTarget ? [] : recommendRelaxations(criteria, target, { limit });
+        console.log(`🧭 === API RECOMMENDATIONS COMPLETE: ${suggestions.length} suggestions ===\n`);
+
+        res.json({
+            success: true,
+            criteria: cacheManager.getNormalizedCriteria(criteria),
+            ...formatValidation(parsed),
+            target,
+            current,
+            alreadyMeetsTarget,
+            suggestions,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendError(req, res, error, 'API recommendations');
+    }
+});
+
+// Result fields for one measured criteria set: cached or fresh, or
+// unavailable with the reason. Misses are only scraped when scrape is set,
+// through runBatch so they share its concurrency limit.
+async function measureCriteria(criteriaList, options = {}) {
+    const measurements = criteriaList.map(criteria => {
+        const cached = cacheManager.get(criteria);
+        return cached ? { status: 'cached', results: cached } : { status: 'unavailable' };
+    });
+
+    const misses = measurements
+        .map((measurement, index) => ({ measurement, index }))
+        .filter(({ measurement }) => !measurement.results);
+    if (options.scrape && misses.length > 0) {
+        const items = await runBatch(misses.map(({ index }) => ({ ...criteriaList[index], screenshot: false, mode: 'exact', source: 'upstream' })));
+        items.forEach((item, i) => {
+            const { measurement } = misses[i];
+            // A degraded answer belongs to other criteria
+            if (item.success && !item.degraded) {
+                measurement.status = item.status === 'hit' ? 'cached' : 'fresh';
+                measurement.results = { ...item.results, cacheKey: item.cacheKey };
             } else {
-                console.log('Not enough .result-number elements found, trying fallback methods...');
-                
-                // Fallback: try to find probability
-                for (let i = 0; i < resultNumbers.length; i++) {
-                    const text = resultNumbers[i].textContent.trim();
-                    if (text.includes('%')) {
-                        data.probability = text;
-                        console.log('Found probability at index', i, ':', text);
-                        break;
-                    }
-                }
-                
-                // Fallback: try to find delusion score number
-                for (let i = 0; i < resultNumbers.length; i++) {
-                    const text = resultNumbers[i].textContent.trim();
-                    if (text.match(/^\d+\/\d+$/)) {
-                        data.delusionScoreNumber = text;
-                        console.log('Found delusion score number at index', i, ':', text);
-                        break;
-                    }
-                }
-                
-                // Fallback: try to find delusion label
-                const delusionTexts = ['Aspiring cat lady', 'Very Delusional', 'Delusional', 'Picky', 'Reasonable', 'Down to earth'];
-                for (let i = 0; i < resultNumbers.length; i++) {
-                    const text = resultNumbers[i].textContent.trim();
-                    if (delusionTexts.includes(text)) {
-                        data.delusionScore = text;
-                        console.log('Found delusion label at index', i, ':', text);
-                        break;
-                    }
-                }
-            }
-            
-            // Get population visualizer
-            const populationElement = document.querySelector('.population-visualizer');
-            if (populationElement) {
-                data.populationData = populationElement.innerHTML;
-                console.log('Found population data');
-            }
-            
-            // Get paragraph text
-            const paragraphElement = document.querySelector('.paragraph');
-            if (paragraphElement) {
-                data.paragraphText = paragraphElement.innerHTML;
-                console.log('Found paragraph text');
-            }
-            
-            // Get score flex container
-            const scoreFlexElement = document.querySelector('.score-flex');
-            if (scoreFlexElement) {
-                data.scoreFlexHTML = scoreFlexElement.innerHTML;
-                console.log('Found score flex HTML');
-            }
-            
-            // Enhanced box paragraph extraction
-            const boxParagraphSelectors = [
-                '.box.paragraph ul li',
-                '.box ul li',
-                '.paragraph ul li',
-                'ul li'
-            ];
-            
-            for (const selector of boxParagraphSelectors) {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    data.boxParagraphList = Array.from(elements).map(el => el.outerHTML);
-                    console.log('Found box paragraph list items with selector', selector, ':', elements.length);
-                    break;
-                }
-            }
-            
-            // Get page HTML for debugging if no main data found
-            if (!data.probability && !data.delusionScore && !data.delusionScoreNumber) {
-                console.log('No data found, capturing page HTML and all .result-number elements...');
-                data.debugHTML = document.body.innerHTML.substring(0, 2000); // First 2000 chars
-                
-                // Log all .result-number elements for debugging
-                data.debugResultNumbers = Array.from(resultNumbers).map((el, index) => ({
-                    index: index,
-                    text: el.textContent.trim(),
-                    innerHTML: el.innerHTML
-                }));
+                measurement.error = item.success
+                    ? { code: 'UPSTREAM_UNAVAILABLE', message: item.degradedReason }
+                    : { code: item.code, message: item.error };
             }
-            
-            console.log('Final extracted data:', data);
-            return data;
         });
-        
-        console.log('Scraped results:', results);
-        
-        // Take a screenshot for user verification (always save)
-        const timestamp = Date.now();
-        const screenshotPath = path.join(__dirname, 'public', `screenshot_${timestamp}.png`);
-        const screenshotUrl = `/screenshot_${timestamp}.png`;
-        
-        try {
-            // Ensure public directory exists
-            if (!fs.existsSync(path.join(__dirname, 'public'))) {
-                fs.mkdirSync(path.join(__dirname, 'public'), { recursive: true });
-            }
-            
-            await page.screenshot({ 
-                path: screenshotPath, 
-                fullPage: true,
-                timeout: 10000
-            });
-            console.log('Screenshot saved:', screenshotPath);
-            results.screenshotUrl = screenshotUrl;
-        } catch (screenshotError) {
-            console.log('Could not save screenshot:', screenshotError.message);
-            results.screenshotUrl = null;
+    }
+
+    return measurements.map(({ status, results, error }) => {
+        if (!results) {
+            return { status, probability: null, probabilityPercent: null, ...(error ? { error } : {}) };
         }
+        const typed = getTypedValues(results);
+        return {
+            status,
+            probability: results.probability,
+            probabilityPercent: typed.probabilityPercent,
+            delusionScore: results.delusionScore,
+            delusionScoreNumber: results.delusionScoreNumber,
+            label: typed.label,
+            cacheKey: results.cacheKey
+        };
+    });
+}
 
-        // Validate results
-        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
-            // Log debug information
-            if (results.debugResultNumbers) {
-                console.log('Debug - All .result-number elements found:');
-                results.debugResultNumbers.forEach(item => {
-                    console.log(`Index ${item.index}: "${item.text}" (HTML: ${item.innerHTML})`);
-                });
-            }
-            
-            // Get page content for debugging
-            const pageTitle = await page.title();
-            const pageUrl = page.url();
-            console.log('Page title:', pageTitle);
-            console.log('Page URL:', pageUrl);
-            
-            if (results.debugHTML) {
-                console.log('Page HTML preview:', results.debugHTML);
+// Which filter cuts the pool the most: the criteria with each active filter
+// relaxed in turn, compared against the criteria as given
+app.get('/api/explain', async (req, res) => {
+    try {
+        console.log(`\n🔬 === API EXPLAIN REQUEST [${req.correlationId}] ===`);
+        const parsed = parseCriteria(criteriaFromQuery(req.query));
+        const original = cacheManager.getNormalizedCriteria(parsed.criteria);
+        const scrape = req.query.scrape === undefined ? true : req.query.scrape === 'true' || req.query.scrape === '1';
+
+        const filters = EXPLAIN_FILTERS.map(filter => ({ ...filter, isActive: filter.active(original) }));
+        const relaxed = filters.filter(filter => filter.isActive);
+        const [base, ...measured] = await measureCriteria([original, ...relaxed.map(filter => filter.relax(original))], { scrape });
+
+        const breakdown = filters.map(filter => {
+            if (!filter.isActive) {
+                return { filter: filter.filter, description: filter.description, active: false };
             }
-            
-            throw new Error('No valid results found on the page - .result-number elements may not be available');
-        }
-        
-        return results;
-        
+            const relaxedCriteria = filter.relax(original);
+            const without = measured[relaxed.indexOf(filter)];
+            return {
+                filter: filter.filter,
+                description: filter.description,
+                active: true,
+                relaxedTo: Object.fromEntries(Object.keys(original)
+                    .filter(field => relaxedCriteria[field] !== original[field])
+                    .map(field => [field, relaxedCriteria[field]])),
+                without,
+                ...filterEffect(base.probabilityPercent, without.probabilityPercent)
+            };
+        });
+
+        // Most restrictive first; inactive and unmeasured filters last
+        breakdown.sort((a, b) => (b.removesShare ?? -1) - (a.removesShare ?? -1));
+        const mostRestrictive = breakdown.find(filter => filter.removesShare !== null && filter.removesShare !== undefined);
+        console.log(`🔬 === API EXPLAIN COMPLETE${mostRestrictive ? `: ${mostRestrictive.filter} removes ${Math.round(mostRestrictive.removesShare * 100)}%` : ''} ===\n`);
+
+        res.json({
+            success: true,
+            criteria: original,
+            ...formatValidation(parsed),
+            base,
+            mostRestrictive: mostRestrictive ? mostRestrictive.filter : null,
+            filters: breakdown,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        console.error('Scraping error:', error);
-        throw error;
-    } finally {
-        if (browser) {
-            try {
-                await browser.close();
-                console.log('Browser closed successfully');
-            } catch (closeError) {
-                console.log('Error closing browser:', closeError.message);
-            }
-        }
+        sendError(req, res, error, 'API explain');
     }
+});
+
+// Criteria sets per POST /api/compare
+const COMPARE_MAX_SETS = parseInt(process.env.COMPARE_MAX_SETS) || 5;
+
+// Normalized fields whose values differ between two criteria sets
+function differingFields(a, b) {
+    return Object.keys(a)
+        .filter(field => a[field] !== b[field])
+        .map(field => ({ field, from: a[field], to: b[field] }));
 }
 
-// Enhanced function to get results with caching
-async function getResults(criteria) {
-    console.log('\n🔍 === CACHE LOOKUP STARTING ===');
-    console.log('Raw input criteria:', JSON.stringify(criteria, null, 2));
-    
-    // Check cache first
-    const cachedResult = cacheManager.get(criteria);
-    if (cachedResult) {
-        console.log('✅ Found in cache, updating access count');
-        cacheManager.updateAccess(criteria);
-        console.log('🔍 === CACHE LOOKUP COMPLETE (HIT) ===\n');
-        return cachedResult;
-    }
+// Compare 2-N criteria sets side by side
+app.post('/api/compare', async (req, res) => {
+    try {
+        console.log(`\n⚖️ === API COMPARE REQUEST [${req.correlationId}] ===`);
+        const body = req.body;
+        const inputs = Array.isArray(body) ? body : body && body.sets;
+        if (!Array.isArray(inputs) || inputs.length < 2 || inputs.length > COMPARE_MAX_SETS) {
+            throw new ApiError('VALIDATION_ERROR', `Request body must be an array of 2 to ${COMPARE_MAX_SETS} criteria sets, or { sets: [...] }`, {
+                details: { minSets: 2, maxSets: COMPARE_MAX_SETS }
+            });
+        }
 
-    console.log('❌ Not found in cache, proceeding to scrape');
-    console.log('🔍 === CACHE LOOKUP COMPLETE (MISS) ===\n');
+        // Validate every set first so one response lists all invalid fields
+        const fieldErrors = [];
+        const parsedSets = inputs.map((input, index) => {
+            try {
+                return parseCriteria(input);
+            } catch (error) {
+                const fields = error.details && error.details.fields
+                    ? error.details.fields
+                    : [{ field: '', message: error.message, value: input }];
+                fieldErrors.push(...fields.map(field => ({ ...field, field: `sets[${index}]${field.field ? `.${field.field}` : ''}` })));
+                return null;
+            }
+        });
+        if (fieldErrors.length > 0) {
+            throw new ApiError('VALIDATION_ERROR', `Invalid criteria: ${fieldErrors.map(error => `${error.field}: ${error.message}`).join('; ')}`, {
+                details: { fields: fieldErrors }
+            });
+        }
 
-    console.log('\n🌐 === SCRAPING STARTING ===');
-    // If not in cache, scrape and cache the result
-    const results = await scrapeResults(criteria);
-    console.log('🌐 === SCRAPING COMPLETE ===\n');
+        // Each set resolves on its own, so one failed scrape does not lose the others
+        const items = await runBatch(inputs, { concurrency: inputs.length });
 
-    console.log('\n💾 === CACHING RESULT ===');
-    const cacheKey = cacheManager.set(criteria, results);
-    console.log('💾 === CACHING COMPLETE ===\n');
-    
-    return {
-        ...results,
-        fromCache: false,
-        cacheKey: cacheKey
-    };
-}
+        const sets = parsedSets.map((parsed, index) => {
+            const item = items[index];
+            const set = {
+                index,
+                name: typeof inputs[index].name === 'string' ? inputs[index].name : null,
+                criteria: cacheManager.getNormalizedCriteria(parsed.criteria),
+                ...formatValidation(parsed)
+            };
+            if (!item.success) {
+                return {
+                    ...set,
+                    success: false,
+                    error: item.error,
+                    code: item.code,
+                    retryable: item.retryable,
+                    ...(item.retryAfterMs !== undefined ? { retryAfterMs: item.retryAfterMs } : {}),
+                    probability: null,
+                    probabilityPercent: null,
+                    delusionScore: null,
+                    delusionScoreNumber: null,
+                    label: null
+                };
+            }
+
+            const typed = getTypedValues(item.results);
+            return {
+                ...set,
+                success: true,
+                fromCache: item.fromCache,
+                coalesced: item.coalesced,
+                cacheKey: item.cacheKey,
+                ...(item.degraded ? { degraded: true, degradedReason: item.degradedReason, degradedSource: item.degradedSource } : {}),
+                ...(item.approximate ? { approximate: true, approximation: item.approximation } : {}),
+                ...(item.modelEstimate ? { modelEstimate: true, model: item.model } : {}),
+                probability: item.results.probability,
+                probabilityPercent: typed.probabilityPercent,
+                delusionScore: item.results.delusionScore,
+                delusionScoreNumber: item.results.delusionScoreNumber,
+                label: typed.label
+            };
+        });
 
-// Serve the main HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+        const comparisons = [];
+        for (let i = 0; i < sets.length; i++) {
+            for (let j = i + 1; j < sets.length; j++) {
+                const a = sets[i];
+                const b = sets[j];
+                const measured = a.probabilityPercent !== null && b.probabilityPercent !== null;
+                comparisons.push({
+                    from: i,
+                    to: j,
+                    probabilityDelta: measured ? Math.round((b.probabilityPercent - a.probabilityPercent) * 1000) / 1000 : null,
+                    ratio: measured && a.probabilityPercent > 0 ? Math.round(b.probabilityPercent / a.probabilityPercent * 1000) / 1000 : null,
+                    labelChange: {
+                        from: a.label,
+                        to: b.label,
+                        changed: a.success && b.success ? a.label !== b.label : null
+                    },
+                    differingFields: differingFields(a.criteria, b.criteria)
+                });
+            }
+        }
+
+        const fieldsThatDiffer = [...new Set(comparisons.flatMap(comparison => comparison.differingFields.map(change => change.field)))];
+        console.log(`⚖️ === API COMPARE COMPLETE: ${sets.length} sets, differing in ${fieldsThatDiffer.join(', ') || 'nothing'} ===\n`);
+
+        res.json({
+            success: true,
+            sets,
+            comparisons,
+            differingFields: fieldsThatDiffer,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendError(req, res, error, 'API compare');
+    }
 });
 
-// API endpoint to handle scraping requests (now with caching)
-app.post('/api/scrape', async (req, res) => {
+// Version and held-out accuracy of the offline model
+app.get('/api/model', (req, res) => {
     try {
-        const criteria = req.body;
-        console.log('\n🚀 === API SCRAPE REQUEST ===');
-        console.log('Received criteria:', JSON.stringify(criteria, null, 2));
-        
-        const results = await getResults(criteria);
-        
-        // Validate that we got valid results
-        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
-            console.error('❌ No valid results found in response:', results);
-            throw new Error('No valid results found on the page');
+        const model = getProbabilityModel();
+        if (!model) {
+            throw new ApiError('MODEL_UNAVAILABLE', 'No probability model is loaded; fit one with npm run fit-model');
         }
-        
-        console.log('✅ Valid results obtained');
-        console.log('Results summary:', {
-            probability: results.probability,
-            delusionScore: results.delusionScore,
-            fromCache: results.fromCache
-        });
-        console.log('🚀 === API SCRAPE REQUEST COMPLETE ===\n');
-        
         res.json({
             success: true,
-            data: results
+            ...model.describe(),
+            file: DEFAULT_MODEL_FILE
         });
-        
     } catch (error) {
-        console.error('❌ API scrape error:', error.message);
-        console.error('Error stack:', error.stack);
-        console.log('🚀 === API SCRAPE REQUEST FAILED ===\n');
-        
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: 'Check server logs for more information'
-        });
+        sendError(req, res, error, 'API model');
     }
 });
 
-// NEW: API endpoint to get results by criteria (for external API usage)
-app.post('/api/results', async (req, res) => {
+// Submit a scrape job; cache hits are answered inline, misses return a job ID to poll
+app.post('/api/jobs', (req, res) => {
     try {
-        const criteria = req;
-        console.log(criteria.query)
-        // Validate required fields
-        if (!criteria) {
-            return res.status(400).json({
-                success: false,
-                error: 'Criteria object is required',
-                example: {
-                    minAge: 25,
-                    maxAge: 35,
-                    excludeMarried: false,
-                    race: 'any', // 'any', 'white', 'black', 'asian' or 0,1,2,3
-                    height: 0, // in CM, 0 for any
-                    excludeObese: false,
-                    income: 0 // minimum income, 0 for any
-                }
+        console.log(`\n📥 === API JOB REQUEST [${req.correlationId}] ===`);
+        console.log('Received criteria:', JSON.stringify(req.body, null, 2));
+        const { criteria } = parseCriteria(req.body || {});
+
+        const cacheKey = cacheManager.generateKey(criteria);
+        const cachedResult = cacheManager.get(criteria);
+
+        if (cachedResult) {
+            cacheManager.updateAccess(criteria);
+            const job = jobQueue.complete(criteria, cacheKey, {
+                fromCache: true,
+                coalesced: false,
+                cacheKey: cacheKey,
+                criteria: cacheManager.getNormalizedCriteria(criteria),
+                results: formatResults(cachedResult, { includeHtml: wantsHtml(criteria.includeHtml) })
             });
-        }
 
-        console.log('\n🎯 === API RESULTS REQUEST (POST) ===');
-        console.log('API Request - Received criteria:', JSON.stringify(criteria, null, 2));
-        
-        const results = await getResults(criteria);
-        
-        // Validate that we got valid results
-        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
-            console.error('❌ No valid results found in response:', results);
-            throw new Error('No valid results found');
+            return res.json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                result: job.result,
+                timestamp: new Date().toISOString()
+            });
         }
-        
-        console.log('✅ Valid results obtained');
-        console.log('Results summary:', {
-            probability: results.probability,
-            delusionScore: results.delusionScore,
-            fromCache: results.fromCache
-        });
-        console.log('🎯 === API RESULTS REQUEST COMPLETE ===\n');
-        
-        // Return clean API response
-        res.json({
+
+        const job = jobQueue.enqueue(criteria, cacheKey);
+        res.status(202).json({
             success: true,
-            fromCache: results.fromCache,
-            cacheKey: results.cacheKey,
-            criteria: cacheManager.getNormalizedCriteria(criteria),
-            results: {
-                probability: results.probability,
-                delusionScore: results.delusionScore,
-                delusionScoreNumber: results.delusionScoreNumber,
-                populationData: results.populationData,
-                paragraphText: results.paragraphText,
-                scoreFlexHTML: results.scoreFlexHTML,
-                boxParagraphList: results.boxParagraphList,
-                screenshotUrl: results.screenshotUrl
-            },
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
             timestamp: new Date().toISOString()
         });
-        
     } catch (error) {
-        console.error('❌ API results error:', error.message);
-        console.error('Error stack:', error.stack);
-        console.log('🎯 === API RESULTS REQUEST FAILED ===\n');
-        
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: 'Check server logs for more information',
-            timestamp: new Date().toISOString()
-        });
+        sendError(req, res, error, 'Job API');
     }
 });
 
-// NEW: GET version of API endpoint to handle query parameters
-app.get('/api/results', async (req, res) => {
+// Poll a scrape job
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+
+    if (!job) {
+        return sendError(req, res, new ApiError('NOT_FOUND', `Job not found: ${req.params.id}`));
+    }
+
+    res.json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        cacheKey: job.cacheKey,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        attempts: job.attempts,
+        result: job.result,
+        error: job.error,
+        errorCode: job.errorCode || null,
+        retryable: job.errorCode && ERROR_CODES[job.errorCode] ? ERROR_CODES[job.errorCode].retryable : null
+    });
+});
+
+// Stream scrape progress as Server-Sent Events, ending with a result or error event
+app.get('/api/results/stream', async (req, res) => {
+    let parsed;
     try {
-        // Convert query parameters to criteria object
-        const criteria = {
-            minAge: req.query.minAge ? parseInt(req.query.minAge) : undefined,
-            maxAge: req.query.maxAge ? parseInt(req.query.maxAge) : undefined,
-            excludeMarried: req.query.excludeMarried === 'true',
-            race: req.query.race || 'any',
-            height: req.query.minHeight ? parseFloat(req.query.minHeight) : 0,
-            excludeObese: req.query.excludeObese === 'true',
-            income: req.query.minIncome ? parseInt(req.query.minIncome) : 0
-        };
+        parsed = parseCriteria(criteriaFromQuery(req.query));
+    } catch (error) {
+        // Rejected before the stream opens, as a plain JSON error
+        return sendError(req, res, error, 'API results stream');
+    }
+    const { criteria } = parsed;
+    const key = cacheManager.generateKey(criteria);
 
-        console.log('\n🎯 === API RESULTS REQUEST (GET) ===');
-        console.log('Query parameters received:', JSON.stringify(req.query, null, 2));
-        console.log('Converted criteria:', JSON.stringify(criteria, null, 2));
-        
-        const results = await getResults(criteria);
-        
-        // Validate that we got valid results
-        if (!results.probability && !results.delusionScore && !results.delusionScoreNumber) {
-            console.error('❌ No valid results found in response:', results);
-            throw new Error('No valid results found');
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const onProgress = (progress) => {
+        if (progress.key === key) {
+            send('progress', progress);
         }
-        
-        console.log('✅ Valid results obtained');
-        console.log('Results summary:', {
-            probability: results.probability,
-            delusionScore: results.delusionScore,
-            fromCache: results.fromCache
-        });
-        console.log('🎯 === API RESULTS REQUEST COMPLETE ===\n');
-        
-        // Return clean API response
-        res.json({
+    };
+    scrapeProgress.on('progress', onProgress);
+
+    // Keep proxies from closing an idle stream while the page loads
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    const cleanup = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        scrapeProgress.off('progress', onProgress);
+    };
+    req.on('close', cleanup);
+
+    console.log(`\n📡 === API RESULTS STREAM [${req.correlationId}] ===`);
+    console.log('Converted criteria:', JSON.stringify(criteria, null, 2));
+
+    try {
+        const results = await getResults(criteria);
+
+        send('result', {
             success: true,
             fromCache: results.fromCache,
+            coalesced: Boolean(results.coalesced),
             cacheKey: results.cacheKey,
+            ...formatDegraded(results),
+            ...formatApproximate(results),
+            ...formatModel(results),
             criteria: cacheManager.getNormalizedCriteria(criteria),
-            results: {
-                probability: results.probability,
-                delusionScore: results.delusionScore,
-                delusionScoreNumber: results.delusionScoreNumber,
-                populationData: results.populationData,
-                paragraphText: results.paragraphText,
-                scoreFlexHTML: results.scoreFlexHTML,
-                boxParagraphList: results.boxParagraphList,
-                screenshotUrl: results.screenshotUrl
-            },
+            ...formatValidation(parsed),
+            results: formatResults(results, { includeHtml: wantsHtml(req.query.includeHtml) }),
             timestamp: new Date().toISOString()
         });
-        
     } catch (error) {
-        console.error('❌ API results GET error:', error.message);
-        console.error('Error stack:', error.stack);
-        console.log('🎯 === API RESULTS REQUEST FAILED ===\n');
-        
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: 'Check server logs for more information',
-            timestamp: new Date().toISOString()
-        });
+        const apiError = toApiError(error);
+        console.error(`❌ [${req.correlationId}] API results stream ${apiError.code}: ${apiError.message}`);
+        send('error', errorBody(apiError, req.correlationId));
+    } finally {
+        cleanup();
+        res.end();
     }
 });
 
@@ -1507,29 +3850,59 @@ app.get('/api/cache', (req, res) => {
             data: allCached
         });
     } catch (error) {
-        console.error('Cache API error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(req, res, error, 'Cache API');
     }
 });
 
 // NEW: Get cache statistics
-app.get('/api/cache/stats', (req, res) => {
+app.get('/api/cache/stats', async (req, res) => {
     try {
         const stats = cacheManager.getStats();
         
         res.json({
             success: true,
-            stats: stats
+            stats: stats,
+            browserPool: browserPool.getStats(),
+            inFlightScrapes: inFlightScrapes.size,
+            jobs: jobQueue.getStats(),
+            pageWaits: getWaitStats(),
+            screenshots: screenshotStore.getStats(),
+            forensics: forensicsRecorder.getStats(),
+            circuitBreaker: upstreamBreaker.getState(),
+            upstreamLimiter: await upstreamLimiter.getStats()
         });
     } catch (error) {
-        console.error('Cache stats API error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        sendError(req, res, error, 'Cache stats API');
+    }
+});
+
+// Serve a stored screenshot or its thumbnail
+function sendScreenshot(req, res, variant) {
+    const key = req.params.key;
+    if (!screenshotStore.exists(key, variant)) {
+        return sendError(req, res, new ApiError('NOT_FOUND', `Screenshot not found: ${key}`));
+    }
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(screenshotStore.pathFor(key, variant));
+}
+
+app.get('/api/screenshots/:key', (req, res) => sendScreenshot(req, res, 'full'));
+app.get('/api/screenshots/:key/thumbnail', (req, res) => sendScreenshot(req, res, 'thumbnail'));
+
+// Invalidate a single cache entry (and its screenshot)
+app.delete('/api/cache/:key', (req, res) => {
+    try {
+        const deleted = cacheManager.delete(req.params.key);
+        if (!deleted) {
+            return sendError(req, res, new ApiError('NOT_FOUND', `Cache entry not found: ${req.params.key}`));
+        }
+        
+        res.json({
+            success: true,
+            message: `Cache entry ${req.params.key} deleted`
         });
+    } catch (error) {
+        sendError(req, res, error, 'Delete cache entry API');
     }
 });
 
@@ -1543,11 +3916,79 @@ app.delete('/api/cache', (req, res) => {
             message: 'Cache cleared successfully'
         });
     } catch (error) {
-        console.error('Clear cache API error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        sendError(req, res, error, 'Clear cache API');
+    }
+});
+
+// Admin endpoints require the x-admin-token header and do not exist until
+// ADMIN_TOKEN is set: forensics bundles hold full upstream pages and stacks
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return sendError(req, res, new ApiError('NOT_FOUND', 'Admin endpoints are disabled; set ADMIN_TOKEN to enable them'));
+    }
+    if (req.get('x-admin-token') !== token) {
+        return sendError(req, res, new ApiError('UNAUTHORIZED', 'Admin token required'));
+    }
+    next();
+}
+
+// List failure forensics bundles, newest first
+app.get('/api/admin/forensics', requireAdmin, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            stats: forensicsRecorder.getStats(),
+            bundles: forensicsRecorder.list()
+        });
+    } catch (error) {
+        sendError(req, res, error, 'Forensics list API');
+    }
+});
+
+// Metadata and file list of one bundle
+app.get('/api/admin/forensics/:id', requireAdmin, (req, res) => {
+    const bundle = forensicsRecorder.get(req.params.id);
+    if (!bundle) {
+        return sendError(req, res, new ApiError('NOT_FOUND', `Forensics bundle not found: ${req.params.id}`));
+    }
+    res.json({
+        success: true,
+        bundle
+    });
+});
+
+// Download one file of a bundle (trace.zip, page.html, console.json, meta.json)
+app.get('/api/admin/forensics/:id/:file', requireAdmin, (req, res) => {
+    const file = forensicsRecorder.filePath(req.params.id, req.params.file);
+    if (!file) {
+        return sendError(req, res, new ApiError('NOT_FOUND', `Forensics file not found: ${req.params.id}/${req.params.file}`));
+    }
+    res.download(file, `${req.params.id}-${req.params.file}`);
+});
+
+app.delete('/api/admin/forensics/:id', requireAdmin, (req, res) => {
+    if (!forensicsRecorder.get(req.params.id)) {
+        return sendError(req, res, new ApiError('NOT_FOUND', `Forensics bundle not found: ${req.params.id}`));
+    }
+    forensicsRecorder.remove(req.params.id);
+    res.json({
+        success: true,
+        message: `Forensics bundle ${req.params.id} deleted`
+    });
+});
+
+// Extractor drift report over the cache
+app.get('/api/extractor/drift', (req, res) => {
+    try {
+        const entries = cacheManager.getAllCached().map(entry => ({ key: entry.key, data: entry.data }));
+        
+        res.json({
+            success: true,
+            report: buildDriftReport(entries)
         });
+    } catch (error) {
+        sendError(req, res, error, 'Extractor drift API');
     }
 });
 
@@ -1581,11 +4022,7 @@ app.get('/api/search', (req, res) => {
             data: filtered
         });
     } catch (error) {
-        console.error('Search API error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(req, res, error, 'Search API');
     }
 });
 
@@ -1603,10 +4040,17 @@ app.get('/api/docs', (req, res) => {
                     maxAge: { type: "number", default: 35, description: "Maximum age" },
                     excludeMarried: { type: "boolean", default: false, description: "Exclude married individuals (true/false)" },
                     race: { type: "string", values: ["any", "white", "black", "asian", "0", "1", "2", "3"], default: "any", description: "Race preference" },
-                    minHeight: { type: "number", default: 0, description: "Minimum height in CM (0 for any)" },
+                    minHeight: { type: "number|string", default: 0, description: "Minimum height in CM (0 for any), or \"70 in\", \"5 ft 10 in\", \"6'0\\\"\"" },
                     excludeObese: { type: "boolean", default: false, description: "Exclude obese individuals (true/false)" },
-                    minIncome: { type: "number", default: 0, description: "Minimum income (0 for any)" }
+                    minIncome: { type: "number|string", default: 0, description: "Minimum income (0 for any), or \"75,000\", \"$100k\", \"1.2M\"" },
+                    includeHtml: { type: "boolean", default: false, description: "Also return the raw upstream HTML fragments" },
+                    screenshot: { type: "boolean", default: true, description: "Take a screenshot when the result has to be scraped" },
+                    lenient: { type: "boolean", default: false, description: "Clamp out-of-range values and swap reversed age ranges instead of rejecting them" },
+                    canonical: { type: "boolean", default: false, description: "Snap height and income to the nearest upstream step; criteria then holds the snapped values and requestedCriteria the original ones" },
+                    mode: { type: "string", values: ["exact", "approximate", "auto"], default: "exact", description: "exact scrapes cache misses, approximate interpolates from cached neighbours, auto interpolates when the error bound is within APPROXIMATE_MAX_RELATIVE_ERROR and scrapes otherwise" },
+                    source: { type: "string", values: ["upstream", "model"], default: "upstream", description: "model answers cache misses instantly from the offline model (503 MODEL_UNAVAILABLE when none is loaded)" }
                 },
+                validation: "Ages 18-85 with minAge <= maxAge, height 0-250 cm, income >= 0, race any/white/black/asian/0-3; invalid values return 400 VALIDATION_ERROR with details.fields",
                 response: "Same as POST /api/results"
             },
             "POST /api/results": {
@@ -1616,27 +4060,162 @@ app.get('/api/docs', (req, res) => {
                     maxAge: { type: "number", default: 35, description: "Maximum age" },
                     excludeMarried: { type: "boolean", default: false, description: "Exclude married individuals" },
                     race: { type: "string", values: ["any", "white", "black", "asian", "0", "1", "2", "3"], default: "any", description: "Race preference" },
-                    height: { type: "number", default: 0, description: "Minimum height in CM (0 for any)" },
+                    height: { type: "number|string", default: 0, description: "Minimum height in CM (0 for any), or \"70 in\", \"5 ft 10 in\", \"6'0\\\"\"" },
                     excludeObese: { type: "boolean", default: false, description: "Exclude obese individuals" },
-                    income: { type: "number", default: 0, description: "Minimum income (0 for any)" }
+                    income: { type: "number|string", default: 0, description: "Minimum income (0 for any), or \"75,000\", \"$100k\", \"1.2M\"" },
+                    includeHtml: { type: "boolean", default: false, description: "Also return the raw upstream HTML fragments" },
+                    screenshot: { type: "boolean", default: true, description: "Take a screenshot when the result has to be scraped" },
+                    lenient: { type: "boolean", default: false, description: "Clamp out-of-range values and swap reversed age ranges instead of rejecting them" },
+                    canonical: { type: "boolean", default: false, description: "Snap height and income to the nearest upstream step; criteria then holds the snapped values and requestedCriteria the original ones" },
+                    mode: { type: "string", values: ["exact", "approximate", "auto"], default: "exact", description: "exact scrapes cache misses, approximate interpolates from cached neighbours, auto interpolates when the error bound is within APPROXIMATE_MAX_RELATIVE_ERROR and scrapes otherwise" },
+                    source: { type: "string", values: ["upstream", "model"], default: "upstream", description: "model answers cache misses instantly from the offline model (503 MODEL_UNAVAILABLE when none is loaded)" }
                 },
+                validation: "Ages 18-85 with minAge <= maxAge, height 0-250 cm, income >= 0, race any/white/black/asian/0-3; invalid values return 400 VALIDATION_ERROR with details.fields",
                 response: {
                     success: "boolean",
                     fromCache: "boolean",
+                    coalesced: "boolean",
                     cacheKey: "string",
+                    degraded: "boolean (only when the upstream is down and the closest cached entry was served)",
+                    degradedReason: "string",
+                    degradedSource: "object (cacheKey, criteria, cachedAt, distance, exact)",
+                    approximate: "boolean (only when the result was interpolated, mode=approximate or auto)",
+                    approximation: "object (method, probabilityPercent, errorBound: { low, high, percentagePoints, relative }, sources: [{ cacheKey, criteria, probabilityPercent }])",
+                    modelEstimate: "boolean (only when the offline model answered, source=model or upstream down)",
+                    model: "object (version, fittedAt, probabilityPercent, heldOut)",
                     criteria: "object",
                     results: {
                         probability: "string",
                         delusionScore: "string",
                         delusionScoreNumber: "string",
-                        populationData: "string",
-                        paragraphText: "string",
-                        scoreFlexHTML: "string",
-                        boxParagraphList: "array",
-                        screenshotUrl: "string"
+                        typed: "object (probabilityPercent, probabilityFraction, score, scoreMax, label enum)",
+                        warnings: "array of { code, message } when label, score and probability disagree",
+                        structured: "object (population counts and ratio, score segments, criteria list as text)",
+                        populationData: "string (includeHtml only)",
+                        paragraphText: "string (includeHtml only)",
+                        scoreFlexHTML: "string (includeHtml only)",
+                        boxParagraphList: "array (includeHtml only)",
+                        screenshotUrl: "string (null when skipped or expired)",
+                        thumbnailUrl: "string (null when skipped or expired)"
                     }
                 }
             },
+            "POST /api/results/batch": {
+                description: "Resolve up to BATCH_MAX_ITEMS criteria sets in one call. Cache hits are answered immediately, misses are scraped with bounded concurrency (BATCH_CONCURRENCY)",
+                parameters: {
+                    body: "Array of criteria (as for POST /api/results), or { items: [...], lenient?, canonical?, includeHtml?, screenshot? } where the options apply to every item",
+                    stream: { type: "string", values: ["ndjson", "true"], description: "Stream NDJSON instead of one JSON body (or send Accept: application/x-ndjson)" }
+                },
+                response: {
+                    success: "boolean",
+                    summary: "object (total, hits, misses, failures, approximate, degraded, durationMs)",
+                    items: "array in input order of { index, success, status (hit|miss|approximate|failed), ...GET /api/results fields } or { index, success: false, status: 'failed', error, code, retryable, details? }"
+                },
+                streaming: "One line per item as it finishes ({ type: 'item', index, ... }), then { type: 'summary', ... }"
+            },
+            "GET /api/sweep": {
+                description: "Probability curve for one criterion over a range, other criteria fixed",
+                parameters: {
+                    criteria: "Same as GET /api/results (the fixed base)",
+                    param: { type: "string", values: ["minAge", "maxAge", "minHeight", "minIncome"], description: "Criterion to vary" },
+                    from: { type: "number|string", description: "First value, with the units the criterion accepts" },
+                    to: { type: "number|string", description: "Last value" },
+                    step: { type: "number|string", default: "1 year, 1 inch or $5k", description: "Distance between points (at most SWEEP_MAX_POINTS points)" },
+                    scrape: { type: "number", default: 5, description: "Uncached points that may be scraped; 0 for cache and estimates only" }
+                },
+                response: {
+                    success: "boolean",
+                    param: "string",
+                    range: "object (from, to, step)",
+                    criteria: "object",
+                    summary: "object (cached, fresh, estimated, unavailable)",
+                    points: "array of { value, status (cached|fresh|estimated|unavailable), probability, probabilityPercent, delusionScore, delusionScoreNumber, label, cacheKey?, estimate?: { method, sources }, error? }"
+                }
+            },
+            "GET /api/recommendations": {
+                description: "Smallest relaxations of the criteria that reach a target probability or delusion label, from cached results (nothing is scraped)",
+                parameters: {
+                    criteria: "Same as GET /api/results",
+                    targetProbability: { type: "number|string", description: "Probability to reach, e.g. 5 or \"5%\"" },
+                    targetLabel: { type: "string", values: ["REASONABLE", "PICKY", "DELUSIONAL", "VERY_DELUSIONAL"], description: "Label to reach (alternative to targetProbability)" },
+                    limit: { type: "number", default: 5, description: "Maximum number of suggestions (1-20)" }
+                },
+                response: {
+                    success: "boolean",
+                    criteria: "object",
+                    target: "object (probabilityPercent, label)",
+                    current: "object or null (cached result for the criteria themselves)",
+                    alreadyMeetsTarget: "boolean",
+                    suggestions: "array of { changes: [{ field, from, to }], distance, source (cached|estimated), probability, probabilityPercent, delusionScore, delusionScoreNumber, label, cacheKey?, estimate? } ranked by distance"
+                }
+            },
+            "GET /api/explain": {
+                description: "Evaluate the criteria with each filter relaxed in turn and report how much each one cuts the pool",
+                parameters: {
+                    criteria: "Same as GET /api/results",
+                    scrape: { type: "boolean", default: true, description: "Scrape uncached variants; false reports them as unavailable" }
+                },
+                response: {
+                    success: "boolean",
+                    criteria: "object",
+                    base: "object (status, probability, probabilityPercent, delusionScore, label, cacheKey)",
+                    mostRestrictive: "string or null",
+                    filters: "array of { filter (race|minHeight|minIncome|excludeMarried|excludeObese|ageRange), description, active, relaxedTo, without, marginalEffect (percentage points), removesShare (0-1), multiplier }, most restrictive first"
+                }
+            },
+            "POST /api/compare": {
+                description: "Compare 2 to COMPARE_MAX_SETS (5) criteria sets side by side, resolved through the cache and scraper",
+                parameters: "Array of criteria (as for POST /api/results, optionally with a name), or { sets: [...] }",
+                response: {
+                    success: "boolean",
+                    sets: "array of { index, name, criteria, success, fromCache, cacheKey, probability, probabilityPercent, delusionScore, delusionScoreNumber, label }; a failed set has success false, error, code and retryable, and its comparisons have null probabilityDelta and ratio",
+                    comparisons: "array of { from, to, probabilityDelta (percentage points), ratio, labelChange: { from, to, changed }, differingFields: [{ field, from, to }] } for every pair",
+                    differingFields: "array of field names that differ between any two sets"
+                }
+            },
+            "GET /api/model": {
+                description: "Version and held-out accuracy of the offline model fitted by npm run fit-model (503 MODEL_UNAVAILABLE when none is loaded)",
+                response: {
+                    success: "boolean",
+                    version: "string",
+                    fittedAt: "string",
+                    method: "string",
+                    features: "array of feature names",
+                    samples: "object (total, train, heldOut, sources)",
+                    metrics: "object (heldOut: { samples, meanAbsoluteErrorPoints, meanAbsoluteErrorLog10, labelAccuracy } or null)",
+                    file: "string"
+                }
+            },
+            "GET /api/results/stream": {
+                description: "Server-Sent Events stream of scrape progress for the given criteria",
+                parameters: "Same as GET /api/results",
+                response: {
+                    "event: progress": "{ stage, attempt?, maxAttempts?, error?, timestamp } where stage is cache-lookup, cache-hit, waiting-for-browser, browser-acquired, navigation-attempt, navigation-retry, waiting-for-content, extracting, screenshot or cached",
+                    "event: result": "Same body as GET /api/results",
+                    "event: error": "{ success: false, error }"
+                }
+            },
+            "POST /api/jobs": {
+                description: "Submit a scrape job. Cache hits return 200 with the result inline; misses return 202 with a job ID",
+                parameters: "Same as POST /api/results",
+                response: {
+                    success: "boolean",
+                    jobId: "string",
+                    status: "string (queued|running|succeeded|failed)",
+                    statusUrl: "string",
+                    result: "object (only for cache hits)"
+                }
+            },
+            "GET /api/jobs/:id": {
+                description: "Poll the status of a scrape job",
+                response: {
+                    success: "boolean",
+                    jobId: "string",
+                    status: "string (queued|running|succeeded|failed)",
+                    result: "object (once succeeded)",
+                    error: "string (once failed)"
+                }
+            },
             "GET /api/cache": {
                 description: "Get all cached data with statistics",
                 response: {
@@ -1653,7 +4232,27 @@ app.get('/api/docs', (req, res) => {
                         totalEntries: "number",
                         totalAccesses: "number",
                         oldestEntry: "string",
-                        newestEntry: "string"
+                        newestEntry: "string",
+                        consistency: "object (checked, inconsistent, byCode)"
+                    },
+                    browserPool: "object",
+                    pageWaits: "object (count, averageMs, maxMs, timeouts of readiness waits)",
+                    circuitBreaker: "object (state, consecutiveFailures, nextProbeAt, lastFailure)",
+                    upstreamLimiter: "object (ratePerMinute, effectiveRatePerMinute, requestsLastMinute, requestsLastMinuteBy, backoffUntil, lastBackoff)"
+                }
+            },
+            "GET /api/extractor/drift": {
+                description: "Report cache entries produced by an older extractor version or through fallback selectors",
+                response: {
+                    success: "boolean",
+                    report: {
+                        currentVersion: "number",
+                        byVersion: "object",
+                        outdatedEntries: "array",
+                        fallbackEntries: "array",
+                        fieldStatus: "object",
+                        driftedFields: "array",
+                        driftDetected: "boolean"
                     }
                 }
             },
@@ -1672,6 +4271,33 @@ app.get('/api/docs', (req, res) => {
                     data: "array"
                 }
             },
+            "DELETE /api/cache/:key": {
+                description: "Invalidate one cache entry and delete its screenshot",
+                response: {
+                    success: "boolean",
+                    message: "string"
+                }
+            },
+            "GET /api/screenshots/:key": {
+                description: "PNG screenshot for a cache entry; append /thumbnail for the small variant"
+            },
+            "GET /api/admin/forensics": {
+                description: "List failure forensics bundles (x-admin-token header required; 404 until ADMIN_TOKEN is set)",
+                response: {
+                    success: "boolean",
+                    stats: "object (bundles, newest, maxBundles, maxAgeDays, totalBytes, maxTotalMb, maxTraceMb, traceEnabled)",
+                    bundles: "array of { id, createdAt, error, finalUrl, navigations, performanceTiming, criteria, cacheKey, files }"
+                }
+            },
+            "GET /api/admin/forensics/:id": {
+                description: "Metadata and file list of one forensics bundle"
+            },
+            "GET /api/admin/forensics/:id/:file": {
+                description: "Download trace.zip (open with npx playwright show-trace), page.html, console.json or meta.json"
+            },
+            "DELETE /api/admin/forensics/:id": {
+                description: "Delete one forensics bundle"
+            },
             "DELETE /api/cache": {
                 description: "Clear all cached data (admin only)",
                 response: {
@@ -1688,6 +4314,10 @@ app.get('/api/docs', (req, res) => {
                 }
             }
         },
+        errors: {
+            description: "Errors return { success: false, error, code, retryable, correlationId, details?, retryAfterMs?, forensicsId?, timestamp }. Send X-Correlation-ID to choose the ID yourself.",
+            codes: Object.fromEntries(Object.entries(ERROR_CODES).map(([code, info]) => [code, { status: info.status, retryable: info.retryable }]))
+        },
         examples: {
             "GET Request with Query Parameters": {
                 url: "GET /api/results?minAge=27&maxAge=40&excludeMarried=true&race=0&minHeight=160.02&excludeObese=false&minIncome=215000",
@@ -1709,6 +4339,41 @@ app.get('/api/docs', (req, res) => {
                 url: "GET /api/results?minAge=20&maxAge=40",
                 description: "Minimal parameters, rest use defaults"
             },
+            "Batch Request": {
+                url: "POST /api/results/batch?stream=ndjson",
+                body: {
+                    canonical: true,
+                    items: [
+                        { minAge: 25, maxAge: 30, height: "5 ft 10 in" },
+                        { minAge: 25, maxAge: 30, income: "$100k" }
+                    ]
+                },
+                description: "Results for several criteria sets; drop stream=ndjson for a single JSON body"
+            },
+            "Sensitivity Sweep": {
+                url: "GET /api/sweep?minAge=25&maxAge=35&param=minHeight&from=160&to=190&step=5&scrape=0",
+                description: "How probability changes as minimum height goes from 160 to 190 cm, from cached and estimated points only"
+            },
+            "Relaxation Suggestions": {
+                url: "GET /api/recommendations?minAge=25&maxAge=30&minHeight=190.5&excludeObese=true&targetLabel=PICKY",
+                description: "What to change to get from Very Delusional to Picky"
+            },
+            "Compare Profiles": {
+                url: "POST /api/compare",
+                body: [
+                    { name: "with excludeObese", height: 180, excludeObese: true },
+                    { name: "without excludeObese", height: 180, excludeObese: false }
+                ],
+                description: "Probability, delta, ratio and label change with and without a filter"
+            },
+            "Approximate Request": {
+                url: "GET /api/results?minAge=25&maxAge=35&minHeight=172&minIncome=90000&mode=auto",
+                description: "Interpolate between cached grid points when the estimate is tight enough, scrape otherwise"
+            },
+            "Model Estimate": {
+                url: "GET /api/results?minAge=25&maxAge=35&minHeight=183&minIncome=150000&source=model",
+                description: "Instant estimate from the offline model for criteria that are not cached"
+            },
             "Search Cache": {
                 url: "GET /api/search?minAge=25&race=white&minIncome=40000",
                 description: "Find all cached entries for white individuals, min age 25, min income 40k"
@@ -1725,9 +4390,12 @@ app.get('/health', (req, res) => {
     const now = new Date();
     // const daysRemaining = Math.ceil((expiry - now) / (1000 * 60 * 60 * 24));
     const cacheStats = cacheManager.getStats();
+    const circuit = upstreamBreaker.getState();
     
+    // Still 200 while the upstream is down: the server itself is healthy and
+    // answers from cache, so the container must not be restarted
     res.json({ 
-        status: 'OK' ,
+        status: circuit.state === 'closed' ? 'OK' : 'DEGRADED',
         timestamp: new Date().toISOString(),
         // licenseExpiry: licenseManager.licenseExpiry,
         // daysRemaining: daysRemaining,
@@ -1735,23 +4403,47 @@ app.get('/health', (req, res) => {
         cache: {
             totalEntries: cacheStats.totalEntries,
             totalAccesses: cacheStats.totalAccesses
-        }
+        },
+        browserPool: browserPool.getStats(),
+        circuitBreaker: circuit,
+        model: getProbabilityModel()?.version || null
     });
 });
 
 
 
+// Malformed JSON bodies and anything else a route did not handle
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendError(req, res, new ApiError('VALIDATION_ERROR', `Malformed JSON body: ${error.message}`));
+    }
+    sendError(req, res, error, `${req.method} ${req.path}`);
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Access the application at http://localhost:${PORT}`);
     console.log(`API Documentation available at http://localhost:${PORT}/api/docs`);
     console.log(`Cache stats available at http://localhost:${PORT}/api/cache/stats`);
+    console.log(`Scraping upstream at ${UPSTREAM_BASE_URL}`);
     
     // Log initial cache stats
     const stats = cacheManager.getStats();
     console.log(`Cache initialized with ${stats.totalEntries} entries`);
+
+    // Resume jobs that were queued before the last shutdown
+    jobQueue.processQueue();
+});
+
+// Close the pooled browser on shutdown so Chromium does not outlive the server
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, async () => {
+        console.log(`Received ${signal}, closing browser pool...`);
+        await browserPool.close();
+        process.exit(0);
+    });
 });
 
-module.exports = { scrapeResults, getResults, cacheManager };
+module.exports = { scrapeResults, getResults, cacheManager, browserPool };
 
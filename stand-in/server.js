@@ -0,0 +1,231 @@
+// Local stand-in for the upstream results site, for offline and CI runs.
+//
+//   node stand-in/server.js                 serve on STAND_IN_PORT (default 4000)
+//   node stand-in/server.js record <query>  save the real page for a query string
+//
+// Point the app at it with UPSTREAM_BASE_URL=http://localhost:4000.
+//
+// GET /results serves stand-in/recordings/<id>.html when a recording exists for
+// the query, otherwise a synthetic page with the same markup the extractor
+// expects. Failure scenarios are switched at runtime through /__control:
+//
+//   curl -X POST localhost:4000/__control -H 'Content-Type: application/json' \
+//        -d '{"scenario":"slow","delayMs":5000}'
+//
+// Scenarios: normal, slow, missing-results, server-error, fallback, redesign.
+// failCount makes the next N requests fail with errorStatus whatever the scenario.
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { DELUSION_SCALE } = require('../result-metrics');
+
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const SCENARIOS = ['normal', 'slow', 'missing-results', 'server-error', 'fallback', 'redesign'];
+
+const DEFAULT_STATE = {
+    scenario: SCENARIOS.includes(process.env.STAND_IN_SCENARIO) ? process.env.STAND_IN_SCENARIO : 'normal',
+    delayMs: parseInt(process.env.STAND_IN_DELAY_MS) || 5000,
+    renderDelayMs: parseInt(process.env.STAND_IN_RENDER_DELAY_MS) || 300,
+    errorStatus: parseInt(process.env.STAND_IN_ERROR_STATUS) || 503,
+    failCount: 0
+};
+
+let state = { ...DEFAULT_STATE };
+let requestCount = 0;
+
+// Same shape as DataCachingSystem.generateCombinationId
+function recordingId(query) {
+    const minHeight = parseFloat(query.minHeight) || 0;
+    return [
+        parseInt(query.minAge) || 25,
+        parseInt(query.maxAge) || 35,
+        query.excludeMarried === 'true',
+        parseInt(query.race) || 0,
+        minHeight,
+        query.excludeObese === 'true',
+        parseInt(query.minIncome) || 0
+    ].join('-');
+}
+
+// Deterministic toy model so synthetic pages return plausible, stable numbers
+function syntheticProbability(query) {
+    const minAge = parseInt(query.minAge) || 25;
+    const maxAge = parseInt(query.maxAge) || 35;
+    const minHeight = parseFloat(query.minHeight) || 0;
+    const minIncome = parseInt(query.minIncome) || 0;
+    const raceShare = [1, 0.6, 0.13, 0.06][parseInt(query.race) || 0] || 1;
+
+    let fraction = Math.max(0, Math.min(maxAge, 85) - Math.max(minAge, 18) + 1) / 68;
+    fraction *= raceShare;
+    if (query.excludeMarried === 'true') fraction *= 0.5;
+    if (query.excludeObese === 'true') fraction *= 0.6;
+    if (minHeight > 0) fraction *= 1 / (1 + Math.exp((minHeight - 176) / 7));
+    if (minIncome > 0) fraction *= Math.exp(-minIncome / 80000);
+
+    return Math.round(fraction * 1000) / 10;
+}
+
+function bandFor(percent) {
+    return DELUSION_SCALE.find(entry => entry.code !== 'DOWN_TO_EARTH' && percent >= entry.minProbability);
+}
+
+function renderPage(query, scenario) {
+    const percent = syntheticProbability(query);
+    const band = bandFor(percent);
+    const values = [`${percent}%`, `${band.score}/5`, band.label];
+    const highlighted = Math.round(percent);
+
+    const icons = Array.from({ length: 100 }, (_, i) =>
+        `<span class="person${i < highlighted ? ' active' : ''}"></span>`).join('');
+    const tins = Array.from({ length: 5 }, (_, i) =>
+        `<img src="/img/score_item_${i < band.score ? 'on' : 'off'}.svg" alt="">`).join('');
+
+    let resultBlock;
+    if (scenario === 'missing-results') {
+        resultBlock = '<div class="results-loading">Calculating...</div>';
+    } else if (scenario === 'redesign') {
+        resultBlock = values.map(value => `<div class="result-value" data-value="${value}">${value}</div>`).join('');
+    } else if (scenario === 'fallback') {
+        // Only two numbers rendered: primary index selectors fail, fallbacks still match
+        resultBlock = `<div class="result-number">${values[0]}</div><div class="result-number">${values[2]}</div>`;
+    } else {
+        resultBlock = values.map(() => '<div class="result-number">...</div>').join('');
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Stand-in results</title></head>
+<body>
+    <div class="results">${resultBlock}</div>
+    <div class="population-visualizer">${icons}<p>${highlighted} in 100 men</p></div>
+    <div class="score-flex">${tins}</div>
+    <div class="box paragraph">
+        <ul>
+            <li>Age ${parseInt(query.minAge) || 25} - ${parseInt(query.maxAge) || 35}</li>
+            <li>Minimum height ${parseFloat(query.minHeight) || 0} cm</li>
+            <li>Minimum income $${parseInt(query.minIncome) || 0}</li>
+        </ul>
+    </div>
+    <script>
+        // Mimic the upstream app filling in results after load
+        setTimeout(function () {
+            var values = ${JSON.stringify(values)};
+            var elements = document.querySelectorAll('.result-number');
+            if (elements.length === 3) {
+                elements.forEach(function (el, i) { el.textContent = values[i]; });
+            }
+        }, ${state.renderDelayMs});
+    </script>
+</body>
+</html>`;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.get('/__control', (req, res) => {
+        res.json({ ...state, requestCount, scenarios: SCENARIOS });
+    });
+
+    app.post('/__control', (req, res) => {
+        const update = req.body || {};
+        if (update.reset) {
+            state = { ...DEFAULT_STATE };
+            requestCount = 0;
+        }
+        if (update.scenario !== undefined) {
+            if (!SCENARIOS.includes(update.scenario)) {
+                return res.status(400).json({ error: `Unknown scenario: ${update.scenario}`, scenarios: SCENARIOS });
+            }
+            state.scenario = update.scenario;
+        }
+        for (const field of ['delayMs', 'renderDelayMs', 'errorStatus', 'failCount']) {
+            if (update[field] !== undefined) {
+                state[field] = parseInt(update[field]) || 0;
+            }
+        }
+        console.log('🎛️ Stand-in state:', state);
+        res.json({ ...state, requestCount });
+    });
+
+    app.get('/results', async (req, res) => {
+        requestCount++;
+        console.log(`📄 ${req.originalUrl} (${state.scenario})`);
+
+        if (state.failCount > 0) {
+            state.failCount--;
+            return res.status(state.errorStatus).send('Stand-in forced failure');
+        }
+        if (state.scenario === 'server-error') {
+            return res.status(state.errorStatus).send('Stand-in server error');
+        }
+        if (state.scenario === 'slow') {
+            await delay(state.delayMs);
+        }
+
+        const recording = path.join(RECORDINGS_DIR, `${recordingId(req.query)}.html`);
+        if (state.scenario === 'normal' || state.scenario === 'slow') {
+            if (fs.existsSync(recording)) {
+                return res.sendFile(recording);
+            }
+        }
+
+        res.type('html').send(renderPage(req.query, state.scenario));
+    });
+
+    app.get('/img/:name', (req, res) => {
+        const on = req.params.name.includes('_on');
+        res.type('image/svg+xml').send(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="40" height="50"><rect width="40" height="50" fill="${on ? '#3498db' : '#7f8c8d'}"/></svg>`
+        );
+    });
+
+    return app;
+}
+
+// Save the rendered upstream page for a query string as a recording
+async function record(queryString) {
+    const { chromium } = require('playwright');
+    const { CHROMIUM_LAUNCH_OPTIONS } = require('../browser-pool');
+    const { waitForResults } = require('../page-readiness');
+    const { DEFAULT_UPSTREAM_BASE_URL } = require('../upstream-config');
+
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+    const url = `${DEFAULT_UPSTREAM_BASE_URL}/results?${new URLSearchParams(query).toString()}`;
+    const browser = await chromium.launch(CHROMIUM_LAUNCH_OPTIONS);
+    try {
+        const page = await browser.newPage();
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+        await waitForResults(page);
+        const html = await page.content();
+
+        fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+        const file = path.join(RECORDINGS_DIR, `${recordingId(query)}.html`);
+        fs.writeFileSync(file, html);
+        console.log(`💾 Recorded ${url} -> ${file}`);
+    } finally {
+        await browser.close();
+    }
+}
+
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (command === 'record') {
+        record(process.argv[3] || '').catch(error => {
+            console.error('Recording failed:', error.message);
+            process.exit(1);
+        });
+    } else {
+        const PORT = process.env.STAND_IN_PORT || 4000;
+        createApp().listen(PORT, () => {
+            console.log(`Stand-in upstream running on http://localhost:${PORT} (scenario: ${state.scenario})`);
+            console.log(`Use UPSTREAM_BASE_URL=http://localhost:${PORT} when starting the server`);
+        });
+    }
+}
+
+module.exports = { createApp, renderPage, recordingId, SCENARIOS };
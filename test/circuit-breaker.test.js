@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, STATES } = require('../circuit-breaker');
+
+const fail = () => Promise.reject(new Error('upstream down'));
+const succeed = () => Promise.resolve('ok');
+
+test('opens after failureThreshold consecutive failures and fails fast', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 });
+    await assert.rejects(breaker.execute(fail), /upstream down/);
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    await assert.rejects(breaker.execute(fail), /upstream down/);
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.isOpen(), true);
+
+    let called = false;
+    await assert.rejects(breaker.execute(() => { called = true; return succeed(); }), error => {
+        assert.strictEqual(error.code, 'UPSTREAM_UNAVAILABLE');
+        assert.ok(error.retryAfterMs > 0);
+        assert.strictEqual(error.lastFailure.message, 'upstream down');
+        return true;
+    });
+    assert.strictEqual(called, false);
+    assert.strictEqual(breaker.getState().rejected, 1);
+});
+
+test('a success resets the consecutive failure count', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    await assert.rejects(breaker.execute(fail));
+    assert.strictEqual(await breaker.execute(succeed), 'ok');
+    await assert.rejects(breaker.execute(fail));
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.consecutiveFailures, 1);
+});
+
+test('errors rejected by isFailure are not counted', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: error => error.code !== 'UPSTREAM_RATE_LIMITED' });
+    const rateLimited = () => Promise.reject(Object.assign(new Error('slow down'), { code: 'UPSTREAM_RATE_LIMITED' }));
+    await assert.rejects(breaker.execute(rateLimited));
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.consecutiveFailures, 0);
+});
+
+test('half-open lets one probe through; its result closes or reopens the circuit', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 60000 });
+    await assert.rejects(breaker.execute(fail));
+    breaker.nextProbeAt = Date.now();
+
+    // Only one probe while it is in flight
+    let releaseProbe;
+    const probe = breaker.execute(() => new Promise((resolve, reject) => { releaseProbe = reject; }));
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+    await assert.rejects(breaker.execute(succeed), { code: 'UPSTREAM_UNAVAILABLE' });
+
+    releaseProbe(new Error('still down'));
+    await assert.rejects(probe, /still down/);
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.getState().opened, 2);
+
+    breaker.nextProbeAt = Date.now();
+    assert.strictEqual(await breaker.execute(succeed), 'ok');
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.retryAfterMs(), 0);
+    assert.strictEqual(breaker.getState().nextProbeAt, null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCriteria, parseCriteria, canonicalizeCriteria, parseHeight, parseIncome } = require('../criteria-validation');
+
+test('missing fields take the documented defaults', () => {
+    const { criteria, errors } = validateCriteria({}, { lenient: false });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(criteria.minAge, 25);
+    assert.strictEqual(criteria.maxAge, 35);
+    assert.strictEqual(criteria.race, 'any');
+    assert.strictEqual(criteria.height, 0);
+    assert.strictEqual(criteria.income, 0);
+    assert.strictEqual(criteria.excludeMarried, false);
+    assert.strictEqual(criteria.excludeObese, false);
+});
+
+test('query-string values are parsed', () => {
+    const { criteria, errors } = validateCriteria({
+        minAge: '30', maxAge: '40', race: 'Asian', minHeight: '180', excludeMarried: 'yes', excludeObese: '1', minIncome: '50000'
+    }, { lenient: false });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(criteria.minAge, 30);
+    assert.strictEqual(criteria.race, 'asian');
+    assert.strictEqual(criteria.height, 180);
+    assert.strictEqual(criteria.excludeMarried, true);
+    assert.strictEqual(criteria.excludeObese, true);
+    assert.strictEqual(criteria.income, 50000);
+});
+
+test('strict mode reports every invalid field', () => {
+    const { errors } = validateCriteria({ minAge: 'abc', maxAge: 90, race: 'martian', excludeObese: 'maybe', mode: 'guess' }, { lenient: false });
+    assert.deepStrictEqual(errors.map(error => error.field), ['minAge', 'maxAge', 'race', 'excludeObese', 'mode']);
+    assert.match(errors[1].message, /between 18 and 85/);
+});
+
+test('a reversed age range is an error, unless an age was already rejected', () => {
+    let { errors } = validateCriteria({ minAge: 40, maxAge: 30 }, { lenient: false });
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /minAge \(40\) must not be greater than maxAge \(30\)/);
+
+    ({ errors } = validateCriteria({ minAge: 40, maxAge: 'abc' }, { lenient: false }));
+    assert.deepStrictEqual(errors.map(error => error.field), ['maxAge']);
+});
+
+test('lenient mode clamps, swaps and reports adjustments instead of errors', () => {
+    const { criteria, errors, adjustments } = validateCriteria({ minAge: 50, maxAge: 99, race: 'martian', minIncome: 1000.6 }, { lenient: true });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(criteria.minAge, 50);
+    assert.strictEqual(criteria.maxAge, 85);
+    assert.strictEqual(criteria.race, 'any');
+    assert.strictEqual(criteria.income, 1001);
+    assert.deepStrictEqual(adjustments.map(adjustment => adjustment.field), ['maxAge', 'race', 'minIncome']);
+
+    const swapped = validateCriteria({ minAge: 40, maxAge: 30 }, { lenient: true });
+    assert.strictEqual(swapped.criteria.minAge, 30);
+    assert.strictEqual(swapped.criteria.maxAge, 40);
+});
+
+test('mode and source default and travel with the criteria', () => {
+    const { criteria } = validateCriteria({ mode: 'AUTO', source: 'model', includeHtml: 'true' }, { lenient: false });
+    assert.strictEqual(criteria.mode, 'auto');
+    assert.strictEqual(criteria.source, 'model');
+    assert.strictEqual(criteria.includeHtml, 'true');
+    assert.strictEqual(validateCriteria({}, { lenient: false }).criteria.source, 'upstream');
+});
+
+test('parseCriteria throws a VALIDATION_ERROR listing the invalid fields', () => {
+    assert.throws(() => parseCriteria({ minAge: 10, race: 'martian' }, { lenient: false }), error => {
+        assert.strictEqual(error.code, 'VALIDATION_ERROR');
+        assert.strictEqual(error.status, 400);
+        assert.deepStrictEqual(error.details.fields.map(field => field.field), ['minAge', 'race']);
+        return true;
+    });
+    assert.throws(() => parseCriteria([]), { code: 'VALIDATION_ERROR' });
+    assert.throws(() => parseCriteria(null), { code: 'VALIDATION_ERROR' });
+});
+
+test('parseHeight accepts cm, metres, inches and feet/inches', () => {
+    assert.strictEqual(parseHeight(180), 180);
+    assert.strictEqual(parseHeight('180'), 180);
+    assert.strictEqual(parseHeight('180 cm'), 180);
+    assert.strictEqual(parseHeight('1.8 m'), 180);
+    assert.strictEqual(parseHeight('70 in'), 177.8);
+    assert.strictEqual(parseHeight('70"'), 177.8);
+    assert.strictEqual(parseHeight('5 ft 10 in'), 177.8);
+    assert.strictEqual(parseHeight('5ft10'), 177.8);
+    assert.strictEqual(parseHeight("6'0\""), 182.88);
+    assert.strictEqual(parseHeight('6’ 2'), 187.96);
+    assert.ok(Number.isNaN(parseHeight('tall')));
+});
+
+test('parseIncome accepts separators, currency and k/M suffixes', () => {
+    assert.strictEqual(parseIncome(75000), 75000);
+    assert.strictEqual(parseIncome('75,000'), 75000);
+    assert.strictEqual(parseIncome('$100k'), 100000);
+    assert.strictEqual(parseIncome('1.2M'), 1200000);
+    assert.strictEqual(parseIncome('$ 1.5 m'), 1500000);
+    assert.ok(Number.isNaN(parseIncome('7,50,00')));
+    assert.ok(Number.isNaN(parseIncome('lots')));
+});
+
+test('unit strings are validated with the accepted formats in the message', () => {
+    const { criteria, errors } = validateCriteria({ height: '5 ft 10 in', income: '$100k' }, { lenient: false });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(criteria.height, 177.8);
+    assert.strictEqual(criteria.income, 100000);
+
+    const invalid = validateCriteria({ height: 'tall' }, { lenient: false });
+    assert.strictEqual(invalid.errors[0].field, 'height');
+    assert.match(invalid.errors[0].message, /feet\/inches/);
+});
+
+test('canonicalizeCriteria snaps height and income to the nearest step', () => {
+    const { criteria, changed } = canonicalizeCriteria({ height: 178, income: 101000, minAge: 25 });
+    assert.strictEqual(criteria.height, 177.8);
+    assert.strictEqual(criteria.income, 100000);
+    assert.strictEqual(criteria.minAge, 25);
+    assert.deepStrictEqual(changed, ['height', 'income']);
+
+    assert.deepStrictEqual(canonicalizeCriteria({ height: 0, income: 0 }).changed, []);
+});
+
+test('canonicalizeCriteria clamps values outside the step table', () => {
+    assert.strictEqual(canonicalizeCriteria({ height: 240, income: 0 }).criteria.height, 213.36);
+    assert.strictEqual(canonicalizeCriteria({ height: 100, income: 0 }).criteria.height, 152.4);
+    assert.strictEqual(canonicalizeCriteria({ height: 50, income: 0 }).criteria.height, 0);
+    assert.strictEqual(canonicalizeCriteria({ height: 0, income: 2000000 }).criteria.income, 500000);
+});
+
+test('parseCriteria in canonical mode keeps the requested criteria', () => {
+    const result = parseCriteria({ height: '5 ft 10.2 in', income: '$98k', canonical: 'true' }, { lenient: false });
+    assert.strictEqual(result.canonical, true);
+    assert.strictEqual(result.criteria.height, 177.8);
+    assert.strictEqual(result.criteria.income, 100000);
+    assert.strictEqual(result.requestedCriteria.height, 178.31);
+    assert.deepStrictEqual(result.snappedFields, ['height', 'income']);
+});
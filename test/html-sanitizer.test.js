@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeResults, sanitizeFragment, isAllowedUrl, SANITIZER_VERSION } = require('../html-sanitizer');
+
+test('isAllowedUrl accepts relative and upstream https URLs only', () => {
+    assert.strictEqual(isAllowedUrl('/img/person.png'), true);
+    assert.strictEqual(isAllowedUrl('#icon'), true);
+    assert.strictEqual(isAllowedUrl('https://igotstandardsbro.com/img/a.png'), true);
+    assert.strictEqual(isAllowedUrl('//evil.example/a.png'), false);
+    assert.strictEqual(isAllowedUrl('http://igotstandardsbro.com/a.png'), false);
+    assert.strictEqual(isAllowedUrl('https://evil.example/a.png'), false);
+    assert.strictEqual(isAllowedUrl('javascript:alert(1)'), false);
+    assert.strictEqual(isAllowedUrl(''), false);
+});
+
+test('sanitizeFragment removes scripts, event handlers and foreign URLs', () => {
+    const html = sanitizeFragment(
+        '<div onclick="steal()"><script>alert(1)</script><img src="https://evil.example/x.png" onerror="x()">' +
+        '<a href="javascript:alert(1)">link</a><img src="/ok.png" alt="ok"></div>');
+
+    assert.doesNotMatch(html, /script|onclick|onerror|evil\.example|javascript:/);
+    assert.match(html, /<img src="\/ok.png" alt="ok" \/>/);
+    assert.match(html, /<a>link<\/a>/);
+});
+
+test('sanitizeFragment keeps SVG drawing attributes with their case', () => {
+    const html = sanitizeFragment('<svg viewBox="0 0 10 10"><circle cx="5" cy="5" r="4" fill="red"></circle></svg>');
+    assert.strictEqual(html, '<svg viewBox="0 0 10 10"><circle cx="5" cy="5" r="4" fill="red"></circle></svg>');
+});
+
+test('href is only kept on <use>, and only for allowed URLs', () => {
+    assert.strictEqual(sanitizeFragment('<svg><use href="#person"></use></svg>'), '<svg><use href="#person"></use></svg>');
+    assert.doesNotMatch(sanitizeFragment('<svg><use href="https://evil.example/s.svg#a"></use></svg>'), /href/);
+    assert.doesNotMatch(sanitizeFragment('<svg><path href="/x" d="M0 0"></path></svg>'), /href/);
+});
+
+test('sanitizeFragment filters inline styles against the allowlist', () => {
+    const html = sanitizeFragment('<span style="color: red; background-image: url(https://evil.example/x.png); width: 10px">x</span>');
+    assert.match(html, /color:red/);
+    assert.match(html, /width:10px/);
+    assert.doesNotMatch(html, /background-image/);
+});
+
+test('sanitizeResults cleans every fragment and stamps the version', () => {
+    const results = sanitizeResults({
+        probability: '2.1%',
+        populationData: '<div><script>x()</script>grid</div>',
+        paragraphText: '<p onmouseover="x()">text</p>',
+        scoreFlexHTML: '<img src="/tin_on.png">',
+        boxParagraphList: ['<b>Age</b>', '<script>x()</script>']
+    });
+
+    assert.strictEqual(results.probability, '2.1%');
+    assert.strictEqual(results.populationData, '<div>grid</div>');
+    assert.strictEqual(results.paragraphText, '<p>text</p>');
+    assert.deepStrictEqual(results.boxParagraphList, ['<b>Age</b>']);
+    assert.strictEqual(results.sanitizerVersion, SANITIZER_VERSION);
+    assert.strictEqual(sanitizeResults(null), null);
+});
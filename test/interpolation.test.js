@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { interpolatePercent, interpolateProbability, gridEntries } = require('../interpolation');
+
+const base = { minAge: 25, maxAge: 35, excludeMarried: false, race: 3, minHeight: 0, excludeObese: false, minIncome: 0 };
+const entry = (key, changes, probabilityPercent) => ({ key, criteria: { ...base, ...changes }, probabilityPercent });
+
+test('interpolatePercent works on a log scale for positive values', () => {
+    assert.ok(Math.abs(interpolatePercent(20, 5, 0.5) - 10) < 1e-9);
+    assert.strictEqual(interpolatePercent(10, 0, 0.25), 7.5);
+    assert.strictEqual(interpolatePercent(4, 4, 0.3), 4);
+});
+
+test('interpolates between the closest neighbours with a bound from the corners', () => {
+    const estimate = interpolateProbability([
+        entry('a', { minHeight: 165 }, 40),
+        entry('b', { minHeight: 170 }, 20),
+        entry('c', { minHeight: 175 }, 10),
+        entry('d', { minHeight: 180 }, 5)
+    ], { ...base, minHeight: 172.5 });
+
+    assert.ok(Math.abs(estimate.probabilityPercent - Math.sqrt(200)) < 1e-9);
+    assert.strictEqual(estimate.errorBound.low, 10);
+    assert.strictEqual(estimate.errorBound.high, 20);
+    assert.ok(Math.abs(estimate.errorBound.percentagePoints - (20 - Math.sqrt(200))) < 1e-9);
+    assert.deepStrictEqual(estimate.sources.map(source => source.key), ['b', 'c']);
+});
+
+test('interpolates across several continuous fields', () => {
+    const estimate = interpolateProbability([
+        entry('a', { minHeight: 170, minIncome: 0 }, 20),
+        entry('b', { minHeight: 180, minIncome: 0 }, 10),
+        entry('c', { minHeight: 170, minIncome: 100000 }, 4),
+        entry('d', { minHeight: 180, minIncome: 100000 }, 2)
+    ], { ...base, minHeight: 175, minIncome: 50000 });
+
+    assert.strictEqual(estimate.sources.length, 4);
+    assert.ok(Math.abs(estimate.probabilityPercent - Math.sqrt(Math.sqrt(200) * Math.sqrt(8))) < 1e-9);
+});
+
+test('an exact match has a zero-width bound', () => {
+    const estimate = interpolateProbability([entry('a', { minHeight: 170 }, 0), entry('b', { minHeight: 175 }, 0)], { ...base, minHeight: 170 });
+    assert.strictEqual(estimate.probabilityPercent, 0);
+    assert.strictEqual(estimate.errorBound.percentagePoints, 0);
+    assert.strictEqual(estimate.errorBound.relative, null);
+});
+
+test('never extrapolates or mixes discrete fields', () => {
+    const entries = [entry('a', { minHeight: 170 }, 20), entry('b', { minHeight: 175 }, 10)];
+    assert.strictEqual(interpolateProbability(entries, { ...base, minHeight: 180 }), null);
+    assert.strictEqual(interpolateProbability(entries, { ...base, race: 1, minHeight: 172 }), null);
+    assert.strictEqual(interpolateProbability([entry('a', { minHeight: 170 }, null), entries[1]], { ...base, minHeight: 172 }), null);
+    assert.strictEqual(interpolateProbability([], base), null);
+});
+
+test('precache grid results alone are enough to interpolate 172 cm from 170 and 175', () => {
+    const parameters = (minHeight) => ({ ...base, minHeight });
+    const grid = gridEntries({
+        '25-35-false-3-170-false-0': { probability: '20%', delusionScore: 'Reasonable', parameters: parameters(170) },
+        '25-35-false-3-175-false-0': { probability: '10%', delusionScore: 'Delusional', parameters: parameters(175) },
+        'broken': { probability: '50%' }
+    });
+
+    assert.strictEqual(grid.length, 2);
+    assert.deepStrictEqual(grid[0].criteria, parameters(170));
+    assert.strictEqual(grid[0].data.parameters, undefined);
+
+    const estimate = interpolateProbability(
+        grid.map(({ criteria, data }) => ({ key: data.delusionScore, criteria, probabilityPercent: parseFloat(data.probability) })),
+        { ...base, minHeight: 172 });
+    assert.strictEqual(Math.round(estimate.probabilityPercent * 1000) / 1000, 15.157);
+    assert.deepStrictEqual(estimate.sources.map(source => source.criteria.minHeight), [170, 175]);
+});
+
+test('gridEntries normalizes string parameters like the server cache', () => {
+    const [grid] = gridEntries({
+        id: { probability: '1%', parameters: { minAge: '30', maxAge: '40', excludeMarried: 'true', race: '2', minHeight: '180.34', excludeObese: false, minIncome: '50000' } }
+    });
+    assert.deepStrictEqual(grid.criteria, {
+        minAge: 30, maxAge: 40, excludeMarried: true, race: 2, minHeight: 180.34, excludeObese: false, minIncome: 50000
+    });
+    assert.deepStrictEqual(gridEntries(null), []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProbabilityModel, collectSamples, MODEL_FORMAT_VERSION } = require('../probability-model');
+
+// Synthetic grid whose logit(probability) is linear in the model's features,
+// so a fit should recover it closely
+function syntheticSamples() {
+    const samples = [];
+    for (const minHeight of [0, 165, 170, 175, 180, 185]) {
+        for (const minIncome of [0, 50000, 100000]) {
+            for (const race of [0, 1, 2, 3]) {
+                for (const excludeObese of [false, true]) {
+                    const criteria = { minAge: 25, maxAge: 35, excludeMarried: false, race, minHeight, excludeObese, minIncome };
+                    const x = 1.5 - 0.0001 * minHeight * minHeight - 0.15 * Math.log1p(minIncome) - (excludeObese ? 0.7 : 0) - 0.2 * race;
+                    samples.push({ key: JSON.stringify(criteria), criteria, probabilityPercent: 100 / (1 + Math.exp(-x)) });
+                }
+            }
+        }
+    }
+    return samples;
+}
+
+test('fit recovers a logistic surface and reports held-out accuracy', () => {
+    const samples = syntheticSamples();
+    const model = ProbabilityModel.fit(samples, { sources: { 'results.json': samples.length } });
+
+    for (const sample of samples) {
+        assert.ok(Math.abs(model.predictPercent(sample.criteria) - sample.probabilityPercent) < 0.5);
+    }
+
+    const summary = model.describe();
+    assert.strictEqual(summary.formatVersion, MODEL_FORMAT_VERSION);
+    assert.strictEqual(summary.coefficients, undefined);
+    assert.strictEqual(summary.samples.total, samples.length);
+    assert.strictEqual(summary.samples.train + summary.samples.heldOut, samples.length);
+    assert.ok(summary.samples.heldOut > 0);
+    assert.ok(summary.metrics.heldOut.meanAbsoluteErrorPoints < 0.5);
+    assert.ok(summary.metrics.heldOut.labelAccuracy > 0.9);
+    assert.match(model.version, /^\d{8}T\d{6}Z-144$/);
+});
+
+test('the held-out split is stable across fits', () => {
+    const first = ProbabilityModel.fit(syntheticSamples()).describe().samples;
+    const second = ProbabilityModel.fit(syntheticSamples().reverse()).describe().samples;
+    assert.deepStrictEqual(first, second);
+});
+
+test('fit refuses too few samples with a probability', () => {
+    const samples = syntheticSamples().slice(0, 10).concat([{ key: 'x', criteria: {}, probabilityPercent: null }]);
+    assert.throws(() => ProbabilityModel.fit(samples), /Need at least \d+ cached results with a probability to fit a model \(found 10\)/);
+});
+
+test('save and load round-trip; other format versions are rejected', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'probability-model-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'nested', 'model.json');
+
+    const model = ProbabilityModel.fit(syntheticSamples());
+    model.save(file);
+    const loaded = ProbabilityModel.load(file);
+    const criteria = syntheticSamples()[7].criteria;
+    assert.strictEqual(loaded.version, model.version);
+    assert.strictEqual(loaded.predictPercent(criteria), model.predictPercent(criteria));
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['model.json']);
+
+    fs.writeFileSync(file, JSON.stringify({ ...model.data, formatVersion: MODEL_FORMAT_VERSION + 1 }));
+    assert.throws(() => ProbabilityModel.load(file), /Unsupported model format/);
+});
+
+test('collectSamples merges both caches, server entries winning', () => {
+    const parameters = { minAge: 25, maxAge: 35, excludeMarried: false, race: 3, minHeight: 170, excludeObese: false, minIncome: 0 };
+    const { samples, sources } = collectSamples({
+        '25-35-false-3-170-false-0': { probability: '20%', parameters },
+        '25-35-false-3-175-false-0': { probability: '10%', parameters: { ...parameters, minHeight: 175 } },
+        'no-parameters': { probability: '5%' }
+    }, {
+        abc: { criteria: { ...parameters, race: '3', excludeMarried: 'false' }, data: { probability: '21%' } }
+    });
+
+    assert.strictEqual(samples.length, 2);
+    assert.deepStrictEqual(sources, { 'results.json': 1, 'scraped_data.json': 1 });
+    const at170 = samples.find(sample => sample.criteria.minHeight === 170);
+    assert.strictEqual(at170.key, 'abc');
+    assert.strictEqual(at170.probabilityPercent, 21);
+    assert.deepStrictEqual(at170.criteria, parameters);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseResults, parsePopulation, parseScoreFlex, parseCriteriaList, htmlToText } = require('../result-parser');
+
+test('htmlToText strips tags, scripts and entities', () => {
+    assert.strictEqual(htmlToText('<p>Tall &amp; rich<br>men</p><script>alert(1)</script>'), 'Tall & rich men');
+    assert.strictEqual(htmlToText('&#65;&#x42;&nbsp;C'), 'AB C');
+    assert.strictEqual(htmlToText(null), '');
+});
+
+test('parsePopulation counts the repeated icons and the highlighted ones', () => {
+    const icons = Array.from({ length: 10 }, (_, index) =>
+        `<img class="person${index < 3 ? ' active' : ''}" src="/img/person.png">`).join('');
+    const population = parsePopulation(`<div class="grid">${icons}</div><p>3 in 10 men (30%)</p>`);
+
+    assert.strictEqual(population.total, 10);
+    assert.strictEqual(population.highlighted, 3);
+    assert.strictEqual(population.ratio, 0.3);
+    assert.strictEqual(population.count, 3);
+    assert.strictEqual(population.outOf, 10);
+    assert.strictEqual(population.percentage, 30);
+});
+
+test('parsePopulation treats a single element as a container, not a grid', () => {
+    const population = parsePopulation('<div class="only">No data</div>');
+    assert.strictEqual(population.total, 0);
+    assert.strictEqual(population.ratio, null);
+    assert.strictEqual(population.text, 'No data');
+    assert.strictEqual(parsePopulation(''), null);
+});
+
+test('parseScoreFlex marks filled score icons by class or src', () => {
+    const score = parseScoreFlex(
+        '<img src="/tin_on.png" alt="1"><img src="/tin_on.png" alt="2"><img src="/tin_off.png" alt="3">');
+
+    assert.strictEqual(score.total, 3);
+    assert.strictEqual(score.filled, 2);
+    assert.deepStrictEqual(score.segments.map(segment => segment.on), [true, true, false]);
+    assert.strictEqual(score.segments[2].alt, '3');
+});
+
+test('parseCriteriaList keeps the non-empty text of each item', () => {
+    assert.deepStrictEqual(parseCriteriaList(['<b>Age</b> 25-35', '<span></span>', 'Not married']), ['Age 25-35', 'Not married']);
+    assert.strictEqual(parseCriteriaList('not a list'), null);
+});
+
+test('parseResults returns nulls for missing fragments', () => {
+    assert.deepStrictEqual(parseResults({}), {
+        population: null,
+        scoreSegments: null,
+        criteriaList: null,
+        paragraph: null
+    });
+    assert.strictEqual(parseResults({ paragraphText: '<p>Only <i>you</i></p>' }).paragraph, 'Only you');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UpstreamRateLimiter, parseRetryAfter } = require('../upstream-limiter');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-limiter-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('parseRetryAfter reads delay-seconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    assert.strictEqual(parseRetryAfter(0), 0);
+    const fromDate = parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+    assert.ok(fromDate > 25000 && fromDate <= 30000);
+    assert.strictEqual(parseRetryAfter(new Date(Date.now() - 30000).toUTCString()), 0);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(''), null);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+});
+
+test('processes sharing a directory share one bucket', async (t) => {
+    const dir = tempDir(t);
+    const options = { dir, ratePerMinute: 1, burst: 2, maxWaitMs: 100 };
+    const server = new UpstreamRateLimiter({ ...options, name: 'server' });
+    const precache = new UpstreamRateLimiter({ ...options, name: 'precache' });
+
+    await server.acquire();
+    await precache.acquire();
+    await assert.rejects(server.acquire(), error => {
+        assert.strictEqual(error.code, 'UPSTREAM_RATE_LIMITED');
+        assert.ok(error.retryAfterMs > 100);
+        return true;
+    });
+
+    const stats = await server.getStats();
+    assert.strictEqual(stats.requestsLastMinute, 2);
+    assert.deepStrictEqual(stats.requestsLastMinuteBy, { server: 1, precache: 1 });
+    assert.strictEqual(stats.process.rejected, 1);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'upstream-limiter.lock')), false);
+});
+
+test('429 backs off for Retry-After and halves the rate; fast successes restore it', async (t) => {
+    const limiter = new UpstreamRateLimiter({ dir: tempDir(t), ratePerMinute: 60, burst: 5, maxWaitMs: 100 });
+
+    await limiter.report({ status: 429, retryAfter: '30' });
+    let stats = await limiter.getStats();
+    assert.strictEqual(stats.effectiveRatePerMinute, 30);
+    assert.strictEqual(stats.lastBackoff.backoffMs, 30000);
+    assert.ok(stats.backoffUntil);
+    await assert.rejects(limiter.acquire(), { code: 'UPSTREAM_RATE_LIMITED' });
+
+    await limiter.report({ status: 200, durationMs: 500 });
+    stats = await limiter.getStats();
+    assert.strictEqual(stats.effectiveRatePerMinute, 36);
+});
+
+test('slow responses reduce the rate without a backoff', async (t) => {
+    const limiter = new UpstreamRateLimiter({ dir: tempDir(t), ratePerMinute: 60, slowResponseMs: 1000 });
+    await limiter.report({ status: 200, durationMs: 5000 });
+    const stats = await limiter.getStats();
+    assert.strictEqual(stats.effectiveRatePerMinute, 45);
+    assert.strictEqual(stats.backoffUntil, null);
+});
+
+test('a stale lock left by a dead process is taken over; a fresh one is not', async (t) => {
+    const dir = tempDir(t);
+    const limiter = new UpstreamRateLimiter({ dir, burst: 1 });
+    const lockFile = path.join(dir, 'upstream-limiter.lock');
+
+    fs.writeFileSync(lockFile, 'dead\n');
+    assert.strictEqual(await limiter.removeStaleLock(), false);
+    assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), 'dead\n');
+
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, old, old);
+    await limiter.acquire();
+    assert.strictEqual(fs.existsSync(lockFile), false);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.includes('.stale.')), []);
+});
@@ -0,0 +1,11 @@
+// Where scrapes are sent. Point UPSTREAM_BASE_URL at the local stand-in
+// (node stand-in/server.js) to run the full scrape path without internet.
+const DEFAULT_UPSTREAM_BASE_URL = 'https://igotstandardsbro.com';
+
+const UPSTREAM_BASE_URL = (process.env.UPSTREAM_BASE_URL || DEFAULT_UPSTREAM_BASE_URL).replace(/\/+$/, '');
+
+function buildResultsUrl(params) {
+    return `${UPSTREAM_BASE_URL}/results?${params.toString()}`;
+}
+
+module.exports = { UPSTREAM_BASE_URL, DEFAULT_UPSTREAM_BASE_URL, buildResultsUrl };
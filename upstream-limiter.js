@@ -0,0 +1,259 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Token bucket shared by every process that scrapes the upstream (the API
+// server and the cache-system precache runner). The bucket lives in
+// cache/upstream-limiter.json and is only read or written while holding
+// cache/upstream-limiter.lock, so two processes together never exceed the
+// configured rate.
+//
+// Upstream feedback slows everyone down: 429/503 responses set a shared
+// backoff (Retry-After when the upstream sends one, exponential otherwise)
+// and halve the rate; slow responses reduce it gradually; fast successful
+// responses restore it.
+const DEFAULT_LIMITER_OPTIONS = {
+    ratePerMinute: parseFloat(process.env.UPSTREAM_RATE_PER_MINUTE) || 12,
+    burst: parseInt(process.env.UPSTREAM_BURST) || 2,
+    slowResponseMs: parseInt(process.env.UPSTREAM_SLOW_RESPONSE_MS) || 15000,
+    backoffBaseMs: parseInt(process.env.UPSTREAM_BACKOFF_BASE_MS) || 30000,
+    backoffMaxMs: parseInt(process.env.UPSTREAM_BACKOFF_MAX_MS) || 10 * 60 * 1000,
+    maxWaitMs: parseInt(process.env.UPSTREAM_MAX_WAIT_MS) || 2 * 60 * 1000,
+    minRateFactor: 0.1
+};
+
+const LOCK_STALE_MS = 10000;
+const THROUGHPUT_WINDOW_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class UpstreamRateLimiter {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_LIMITER_OPTIONS, ...options };
+        this.dir = options.dir || path.join(__dirname, 'cache');
+        this.stateFile = path.join(this.dir, 'upstream-limiter.json');
+        this.lockFile = path.join(this.dir, 'upstream-limiter.lock');
+        this.name = options.name || `pid-${process.pid}`;
+
+        // Counters for this process only; shared throughput comes from the state file
+        this.stats = {
+            acquired: 0,
+            throttled: 0,
+            totalWaitMs: 0,
+            backoffs: 0,
+            slowResponses: 0,
+            rejected: 0
+        };
+    }
+
+    initialState() {
+        return {
+            tokens: this.options.burst,
+            updatedAt: Date.now(),
+            rateFactor: 1,
+            backoffUntil: 0,
+            backoffStrikes: 0,
+            lastBackoff: null,
+            recent: []
+        };
+    }
+
+    async lock() {
+        await fs.mkdir(this.dir, { recursive: true });
+        for (;;) {
+            try {
+                const handle = await fs.open(this.lockFile, 'wx');
+                await handle.writeFile(`${this.name}\n`);
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                // A process that died while holding the lock must not block everyone
+                if (await this.removeStaleLock()) continue;
+                await sleep(20 + Math.random() * 30);
+            }
+        }
+    }
+
+    // Move a stale lock out of the way; resolves to true when the lock file is
+    // gone and taking it can be retried right away. Rename is atomic, so of two
+    // processes that both find the lock stale only one moves it. If what was
+    // moved is not the file found stale (another process took the lock in
+    // between), it is linked back, which never overwrites a newer lock.
+    async removeStaleLock() {
+        let stale;
+        try {
+            stale = await fs.stat(this.lockFile);
+        } catch (statError) {
+            return true;
+        }
+        if (Date.now() - stale.mtimeMs <= LOCK_STALE_MS) return false;
+
+        const moved = `${this.lockFile}.stale.${process.pid}.${Date.now()}`;
+        try {
+            await fs.rename(this.lockFile, moved);
+        } catch (renameError) {
+            return true;
+        }
+
+        const movedStat = await fs.stat(moved).catch(() => null);
+        if (movedStat && (movedStat.ino !== stale.ino || movedStat.mtimeMs !== stale.mtimeMs)) {
+            await fs.link(moved, this.lockFile).catch(() => {});
+        }
+        await fs.unlink(moved).catch(() => {});
+        return true;
+    }
+
+    async unlock() {
+        await fs.unlink(this.lockFile).catch(() => {});
+    }
+
+    async readState() {
+        try {
+            return { ...this.initialState(), ...JSON.parse(await fs.readFile(this.stateFile, 'utf8')) };
+        } catch (error) {
+            return this.initialState();
+        }
+    }
+
+    async writeState(state) {
+        const tmpFile = `${this.stateFile}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(state, null, 2));
+        await fs.rename(tmpFile, this.stateFile);
+    }
+
+    // Run fn(state) under the lock and persist whatever it changed
+    async update(fn) {
+        await this.lock();
+        try {
+            const state = await this.readState();
+            this.refill(state);
+            const result = fn(state);
+            await this.writeState(state);
+            return result;
+        } finally {
+            await this.unlock();
+        }
+    }
+
+    currentRatePerMs(state) {
+        return this.options.ratePerMinute * state.rateFactor / 60000;
+    }
+
+    refill(state) {
+        const now = Date.now();
+        const elapsed = Math.max(0, now - state.updatedAt);
+        state.tokens = Math.min(this.options.burst, state.tokens + elapsed * this.currentRatePerMs(state));
+        state.updatedAt = now;
+        state.recent = state.recent.filter(entry => now - entry.at < THROUGHPUT_WINDOW_MS);
+    }
+
+    // Wait for a token before one upstream request. Rejects with
+    // code UPSTREAM_RATE_LIMITED when the wait would exceed maxWaitMs.
+    async acquire() {
+        const started = Date.now();
+        let throttled = false;
+
+        for (;;) {
+            const waitMs = await this.update(state => {
+                const now = Date.now();
+                if (state.backoffUntil > now) {
+                    return state.backoffUntil - now;
+                }
+                if (state.tokens >= 1) {
+                    state.tokens -= 1;
+                    state.recent.push({ at: now, by: this.name });
+                    return 0;
+                }
+                return Math.ceil((1 - state.tokens) / this.currentRatePerMs(state));
+            });
+
+            if (waitMs === 0) {
+                const waited = Date.now() - started;
+                this.stats.acquired++;
+                this.stats.totalWaitMs += waited;
+                if (throttled) this.stats.throttled++;
+                return { waitedMs: waited };
+            }
+
+            if (Date.now() - started + waitMs > this.options.maxWaitMs) {
+                this.stats.rejected++;
+                const error = new Error(`Upstream rate limit: next request allowed in ${Math.ceil(waitMs / 1000)}s`);
+                error.code = 'UPSTREAM_RATE_LIMITED';
+                error.retryAfterMs = waitMs;
+                throw error;
+            }
+
+            if (!throttled) {
+                console.log(`🐢 Upstream limiter: waiting ${waitMs}ms for a request slot`);
+            }
+            throttled = true;
+            await sleep(Math.min(waitMs, 5000));
+        }
+    }
+
+    // Feed the outcome of an upstream request back into the shared state:
+    // { status, durationMs, retryAfter } where retryAfter is the raw header value
+    async report({ status = null, durationMs = null, retryAfter = null } = {}) {
+        return this.update(state => {
+            const now = Date.now();
+
+            if (status === 429 || status === 503) {
+                state.backoffStrikes++;
+                const retryAfterMs = parseRetryAfter(retryAfter);
+                const backoffMs = retryAfterMs !== null
+                    ? Math.min(retryAfterMs, this.options.backoffMaxMs)
+                    : Math.min(this.options.backoffBaseMs * Math.pow(2, state.backoffStrikes - 1), this.options.backoffMaxMs);
+                state.backoffUntil = Math.max(state.backoffUntil, now + backoffMs);
+                state.rateFactor = Math.max(this.options.minRateFactor, state.rateFactor / 2);
+                state.tokens = 0;
+                state.lastBackoff = { status, backoffMs, retryAfter, at: new Date(now).toISOString(), by: this.name };
+                this.stats.backoffs++;
+                console.log(`⏳ Upstream answered ${status}, backing off for ${backoffMs}ms`);
+                return;
+            }
+
+            if (durationMs !== null && durationMs > this.options.slowResponseMs) {
+                state.rateFactor = Math.max(this.options.minRateFactor, state.rateFactor * 0.75);
+                this.stats.slowResponses++;
+                console.log(`🐌 Upstream responded slowly (${durationMs}ms), reducing request rate`);
+                return;
+            }
+
+            if (status !== null && status < 400) {
+                state.backoffStrikes = 0;
+                state.rateFactor = Math.min(1, state.rateFactor + 0.1);
+            }
+        });
+    }
+
+    async getStats() {
+        const state = await this.readState();
+        this.refill(state);
+        const now = Date.now();
+        return {
+            ratePerMinute: this.options.ratePerMinute,
+            effectiveRatePerMinute: Math.round(this.options.ratePerMinute * state.rateFactor * 100) / 100,
+            burst: this.options.burst,
+            availableTokens: Math.round(state.tokens * 100) / 100,
+            requestsLastMinute: state.recent.length,
+            requestsLastMinuteBy: state.recent.reduce((counts, entry) => {
+                counts[entry.by] = (counts[entry.by] || 0) + 1;
+                return counts;
+            }, {}),
+            backoffUntil: state.backoffUntil > now ? new Date(state.backoffUntil).toISOString() : null,
+            lastBackoff: state.lastBackoff,
+            process: { name: this.name, ...this.stats }
+        };
+    }
+}
+
+module.exports = { UpstreamRateLimiter, parseRetryAfter, DEFAULT_LIMITER_OPTIONS };